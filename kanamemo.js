@@ -34,64 +34,551 @@ function sleep(timeout) {
 	return new Promise(resolve => window.setTimeout(resolve, timeout))
 }
 
+/**
+ * Milliseconds it takes for the transitions and animations set up for an element and its descendants to play,
+ * according to their computed style. Zero if there are none, e.g. when the user prefers reduced motion.
+ * @param {Object} element - The DOM element.
+ * @returns {number}
+ */
+function getAnimationDuration(element) {
+	let milliseconds = time => (time.trim().endsWith("ms") ? parseFloat(time) : parseFloat(time)*1000) || 0
+	let longest = times => Math.max(0, ...times.split(",").map(milliseconds))
+	return Math.max(0, ...[element, ...element.querySelectorAll("*")].map(element => {
+		let style = window.getComputedStyle(element)
+		return Math.max(
+			longest(style.transitionDuration || "0s") + longest(style.transitionDelay || "0s"),
+			longest(style.animationDuration || "0s") + longest(style.animationDelay || "0s"))
+	}))
+}
+
+/**
+ * Wait for the transitions and animations set up for an element and its descendants to play.
+ * Prefix with await in an async function.
+ * @param {Object} element - The DOM element, just changed so they start.
+ * @returns {Promise} Resolves once they're over.
+ */
+function waitForAnimations(element) {
+	let duration = getAnimationDuration(element)
+	return (duration === 0 ? Promise.resolve() : sleep(duration))
+}
+
+/**
+ * Format a duration as minutes and seconds.
+ * @example formatDuration(83000) returns "1:23"
+ * @param {number} duration - Duration in milliseconds.
+ * @returns {string} The duration in "m:ss" notation.
+ */
+function formatDuration(duration) {
+	let totalSeconds = Math.floor(duration/1000)
+	let minutes = Math.floor(totalSeconds/60)
+	let seconds = totalSeconds % 60
+	return minutes+":"+String(seconds).padStart(2, "0")
+}
+
+/**
+ * Escape text for use in HTML markup, in element content as well as in quoted attribute values.
+ * Anything coming from a collection file or the URL goes through this before ending up in a template.
+ * @example escapeHtml('<b>"x"</b>') returns "&lt;b&gt;&quot;x&quot;&lt;/b&gt;"
+ * @param {string} text - The text.
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(text) {
+	return String(text).replace(/[&<>"']/g, character => ({"&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;"})[character])
+}
+
+/**
+ * Resolve a path relative to the file at another path, like a browser would a relative link.
+ * Absolute paths and URLs (e.g. "/a.mp3" or "https://example.com/a.mp3") are left as they are.
+ * @example resolveRelativePath("audio/ka.mp3", "/pictogramcollections/index.json") returns "/pictogramcollections/audio/ka.mp3"
+ * @param {string} path - The path to resolve.
+ * @param {string} basePath - Path of the file the path is relative to.
+ * @returns {string} The resolved path.
+ */
+function resolveRelativePath(path, basePath) {
+	if (path.startsWith("/") || /^[a-z][a-z0-9+.-]*:/i.test(path)) {
+		return path
+	}
+	return basePath.slice(0, basePath.lastIndexOf("/")+1)+path
+}
+
+/**
+ * Get the seed for the board from the query string of the page URL, if there is one.
+ * "?seed=abc" asks for the board of seed "abc", "?daily" for today's board (seeded with the date).
+ * @param {string} search - The query string (e.g. window.location.search).
+ * @param {Date} today - The date to seed daily boards with (default: now).
+ * @returns {string} The seed, or null if none is asked for.
+ */
+function seedFromQuery(search, today=new Date()) {
+	let parameters = new URLSearchParams(search)
+	if (parameters.has("seed")) {
+		return parameters.get("seed")
+	}
+	if (parameters.has("daily")) {
+		return "daily-"+today.getFullYear()+"-"+String(today.getMonth() + 1).padStart(2, "0")+"-"+String(today.getDate()).padStart(2, "0")
+	}
+	return null
+}
+
 /**
  * Templates
  */
 
 /**
- * HTML template for up facing tiles.
+ * DOM template for tiles, holding their faces. The element stays the same for the tile's lifetime: Its state
+ * only changes its classes, which flip it from one face to another (see kanamemo.css).
+ * Like all DOM templates, it builds elements through the DOM API, putting text in with textContent, so nothing
+ * from a collection can ever be taken for markup.
+ * @const {function}
+ * @param {string} id - ID for CSS matching.
+ * @param {Object} skin - An object with the attributes "classes" (reflecting the tile's state), "label" (what the tile shows,
+ *  for screen readers) and "tabIndex" (0 for the tile the grid is tabbed into, -1 for the others).
+ * @param {Array} faces - DOM elements of the down, up and matched faces, in that order.
+ * @returns {Object} DOM element.
+ */
+const DOM_TILE = function(id, skin, faces){
+	let tile = document.createElement("div")
+	tile.id = id
+	tile.className = skin.classes
+	tile.setAttribute("role", "gridcell")
+	tile.tabIndex = skin.tabIndex
+	tile.setAttribute("aria-label", skin.label)
+	let inner = document.createElement("div")
+	inner.className = "tileInner"
+	inner.append(...faces)
+	tile.appendChild(inner)
+	return tile
+}
+
+/**
+ * DOM template for a face of tiles, with its background image and, unless it's blank, its character,
+ * in the language and font declared for it, if any.
+ * @const {function}
+ * @param {string} faceClass - CSS class of the face (e.g. "tileUpFace").
+ * @param {Object} skin - An object with a "background" attribute for the background image's URL, and optionally
+ *  the "character" to show, its "lang" (BCP 47 language tag) and its "font" (CSS font family).
+ * @returns {Object} DOM element.
+ */
+const DOM_TILE_FACE = function(faceClass, skin){
+	let face = document.createElement("div")
+	face.className = "tileFace "+faceClass
+	if (skin.background) {
+		face.style.backgroundImage = "url("+JSON.stringify(skin.background)+")"
+	}
+	if (skin.character && skin.character.trim() !== "") {
+		let character = document.createElement("div")
+		character.className = "tileCharacter"
+		character.setAttribute("aria-hidden", "true")
+		if (skin.lang) {
+			character.lang = skin.lang
+		}
+		if (skin.font) {
+			character.style.fontFamily = skin.font
+		}
+		character.textContent = skin.character
+		face.appendChild(character)
+	}
+	return face
+}
+
+/**
+ * DOM template for the face of tiles shown when they're up.
+ * @const {function}
+ * @param {Object} skin - See DOM_TILE_FACE.
+ * @returns {Object} DOM element.
+ */
+const DOM_UP_TILE_FACE = function(skin){
+	return DOM_TILE_FACE("tileUpFace", skin)
+}
+
+/**
+ * DOM template for the face of tiles shown when they're down.
+ * @const {function}
+ * @param {Object} skin - See DOM_TILE_FACE.
+ * @returns {Object} DOM element.
+ */
+const DOM_DOWN_TILE_FACE = function(skin){
+	return DOM_TILE_FACE("tileDownFace", skin)
+}
+
+/**
+ * DOM template for the face of tiles shown when they're matched.
+ * @const {function}
+ * @param {Object} skin - See DOM_TILE_FACE.
+ * @returns {Object} DOM element.
+ */
+const DOM_MATCHED_TILE_FACE = function(skin){
+	return DOM_TILE_FACE("tileMatchedFace", skin)
+}
+
+/**
+ * HTML template for the grid the tiles are laid out in, one row element per row.
+ * The row elements are there for assistive technology only; the layout is a CSS grid, sized to the row and column
+ * counts passed in as CSS variables (see kanamemo.css).
  * @const {function}
  * @param {string} id - ID for CSS matching.
- * @param {Object} skin - An object with a "background" attribute for the background image's URL.
+ * @param {number} rowCount - Number of rows.
+ * @param {number} columnCount - Number of columns.
  * @returns {string} HTML template literal.
  */
-const HTML_UP_TILE_MARKUP = function(id, skin){
+const HTML_GRID_MARKUP = function(id, rowCount, columnCount){
+	let rows = `
+		<div class="gridRow" role="row"></div>`.repeat(rowCount)
 	return `
-	<div id="${id}" class="tile" style="background-image: url(${skin.background});">
-		<div class="tileCharacter">${skin.character}</div>
+	<div id="${id}" class="grid" role="grid" aria-label="Tiles" style="--grid-rows: ${rowCount}; --grid-columns: ${columnCount};">${rows}
 	</div>`
 }
 
 /**
- * HTML template for down facing tiles.
- * Will be showing pictograms no matter what if in DEBUG mode.
+ * HTML template for the heads-up display above the grid: score, streak, moves and time.
  * @const {function}
  * @param {string} id - ID for CSS matching.
- * @param {Object} skin - An object with a "background" attribute for the background image's URL.
+ * @param {RoundStats} stats - Statistics of the round so far.
  * @returns {string} HTML template literal.
  */
-const HTML_DOWN_TILE_MARKUP = function(id, skin){
-	if (DEBUG) {
-		return `
-		<div id="${id}" class="tile" style="background-image: url(${skin.background});">
-			<div class="tileCharacter">${skin.character}</div>
-		</div>`
-	} else {
-		return `
-		<div id="${id}" class="tile" style="background-image: url(${skin.background});"></div>`
-	}
+const HTML_HUD_MARKUP = function(id, stats){
+	let time = (stats.timeLimit === null ? `Time: ${formatDuration(stats.elapsedTime)}` : `Time left: ${formatDuration(Math.ceil(stats.remainingTime/1000)*1000)}`) // Rounded up, so 0:00 means time's up.
+	return `
+	<div id="${id}" class="hud">
+		<span class="hudItem">Score: ${stats.score}</span>
+		<span class="hudItem">Streak: ${stats.streak}</span>
+		<span class="hudItem">Moves: ${stats.moves}</span>
+		<span class="hudItem hudTime${stats.timeLimit !== null && stats.remainingTime < 10000 ? " hudTimeRunningOut" : ""}">${time}</span>
+	</div>`
+}
+
+/**
+ * HTML template for the live region through which screen readers are told what happens on the grid.
+ * @const {function}
+ * @param {string} id - ID for CSS matching.
+ * @returns {string} HTML template literal.
+ */
+const HTML_ANNOUNCER_MARKUP = function(id){
+	return `
+	<div id="${id}" class="visuallyHidden" role="status" aria-live="polite"></div>`
+}
+
+/**
+ * HTML template for the controls of the readings played when tiles are flipped up.
+ * @const {function}
+ * @param {string} id - ID for CSS matching.
+ * @param {AudioSettings} settings - The current settings.
+ * @returns {string} HTML template literal.
+ */
+const HTML_AUDIO_CONTROLS_MARKUP = function(id, settings){
+	return `
+	<div id="${id}" class="audioControls">
+		<button class="muteButton" aria-pressed="${settings.muted}">Mute</button>
+		<label class="volumeLabel">Volume <input type="range" class="volumeInput" min="0" max="1" step="0.1" value="${settings.volume}" ${settings.muted ? "disabled" : ""}></label>
+	</div>`
+}
+
+/**
+ * HTML template for the theme picker.
+ * @const {function}
+ * @param {string} id - ID for CSS matching.
+ * @param {Array} themes - Objects describing the themes to offer, with the attributes "path" and "name".
+ * @param {string} selectedPath - Path of the theme currently in use.
+ * @returns {string} HTML template literal.
+ */
+const HTML_THEME_SWITCHER_MARKUP = function(id, themes, selectedPath){
+	let themeOptions = themes.map(theme => `
+			<option value="${escapeHtml(theme.path)}" ${theme.path === selectedPath ? "selected" : ""}>${escapeHtml(theme.name)}</option>`).join("")
+	return `
+	<div id="${id}" class="themeSwitcher">
+		<label>Theme <select class="themeSelect">${themeOptions}
+		</select></label>
+	</div>`
+}
+
+/**
+ * HTML template for a screen that only shows a message (e.g. while loading).
+ * @const {function}
+ * @param {string} id - ID for CSS matching.
+ * @param {string} message - The message.
+ * @param {boolean} isError - Whether the message is about something that went wrong.
+ * @returns {string} HTML template literal.
+ */
+const HTML_MESSAGE_SCREEN_MARKUP = function(id, message, isError){
+	return `
+	<div id="${id}" class="messageScreen${isError ? " errorMessage" : ""}">${escapeHtml(message)}</div>`
 }
 
 /**
- * HTML template for matched tiles.
+ * HTML template for the summary overlay shown once a round is over.
  * @const {function}
  * @param {string} id - ID for CSS matching.
- * @param {Object} skin - An object with a "background" attribute for the background image's URL.
+ * @param {RoundStats} stats - Statistics of the round.
+ * @param {number} rank - The score's rank in its high-score table, or null if it didn't make it.
+ * @returns {string} HTML template literal.
+ */
+const HTML_ROUND_SUMMARY_MARKUP = function(id, stats, rank){
+	let rankLine = (rank === null ? "" : `
+			<div class="roundSummaryRank">${rank === 1 ? "New high score!" : "#"+rank+" on the high-score table"}</div>`)
+	return `
+	<div id="${id}" class="overlay">
+		<div class="roundSummary">
+			<div class="roundSummaryTitle">${stats.isTimedOut ? "Time's up!" : "All tiles matched!"}</div>
+			<div class="roundSummaryStat">Score: ${stats.score}</div>${rankLine}
+			<div class="roundSummaryStat">Matches: ${stats.matches}</div>
+			<div class="roundSummaryStat">Best streak: ${stats.bestStreak}</div>
+			<div class="roundSummaryStat">Moves: ${stats.moves}</div>
+			<div class="roundSummaryStat">Mismatches: ${stats.mismatches}</div>
+			<div class="roundSummaryStat">Time: ${formatDuration(stats.elapsedTime)}</div>
+			<button class="playAgainButton">Play again</button>
+			<button class="changeSettingsButton">Change settings</button>
+		</div>
+	</div>`
+}
+
+/**
+ * HTML template for the screen on which the player picks how to play before a round starts.
+ * @const {function}
+ * @param {string} id - ID for CSS matching.
+ * @param {Array} presets - Objects describing the presets to offer, with the attributes "name", "options" (KanaGameOptions) and "problem" (a reason the preset can't be played, or null).
+ * @param {Array} collections - Objects describing the collections to offer, with the attributes "path", "name", "description", "selected", "isUserCollection" and "problem" (a reason the collection can't be played, or null).
+ * @param {string} collectionProblem - A reason the selected collections can't be played together, or null.
+ * @param {string} collectionMessage - How adding a collection of the player's own went, or null.
+ * @param {Object} pairings - The pairing modes to offer (see PAIRING_MODES).
+ * @param {string} selectedPairing - Name of the pairing mode currently selected.
+ * @param {Array} groups - The groups of the collection to offer, as objects with the attributes "name" and "label".
+ * @param {Array} selectedGroups - Names of the groups currently selected, null for all of them.
+ * @param {Object} populations - The population strategies to offer (see POPULATION_STRATEGIES).
+ * @param {string} selectedPopulation - Name of the population strategy currently selected.
+ * @param {Object} timeLimits - The time limits to offer (see TIME_LIMITS).
+ * @param {string} selectedTimeLimit - Name of the time limit currently selected.
+ * @param {Object} reveals - The reveal durations to offer (see REVEAL_DURATIONS).
+ * @param {string} selectedReveal - Name of the reveal duration currently selected.
+ * @param {boolean} dismissRevealOnClick - Whether mismatched tiles may be flipped down early by clicking a tile.
+ * @param {string} seed - Seed the board will be generated from, or null for a random board.
+ * @returns {string} HTML template literal.
+ */
+const HTML_START_SCREEN_MARKUP = function(id, presets, collections, collectionProblem, collectionMessage, pairings, selectedPairing, groups, selectedGroups, populations, selectedPopulation, timeLimits, selectedTimeLimit, reveals, selectedReveal, dismissRevealOnClick, seed){
+	let collectionCheckboxes = collections.map(collection => `
+			<label class="collectionOption"${collection.problem ? ` title="${escapeHtml(collection.problem)}"` : ""}>
+				<input type="checkbox" class="collectionCheckbox" value="${escapeHtml(collection.path)}" ${collection.selected ? "checked" : ""} ${collection.problem ? "disabled" : ""}>
+				<span class="collectionName">${escapeHtml(collection.name)}</span>${collection.isUserCollection ? `
+				<button class="removeCollectionButton" data-path="${escapeHtml(collection.path)}">Remove</button>` : ""}
+				<span class="collectionDescription">${escapeHtml(collection.description)}</span>
+			</label>`).join("")
+	let pairingOptions = Object.keys(pairings).map(name => `
+				<option value="${name}" ${name === selectedPairing ? "selected" : ""}>${pairings[name].label}</option>`).join("")
+	let populationOptions = Object.keys(populations).map(name => `
+				<option value="${name}" ${name === selectedPopulation ? "selected" : ""}>${populations[name].label}</option>`).join("")
+	let timeLimitOptions = Object.keys(timeLimits).map(name => `
+				<option value="${name}" ${name === selectedTimeLimit ? "selected" : ""}>${timeLimits[name].label}</option>`).join("")
+	let revealOptions = Object.keys(reveals).map(name => `
+				<option value="${name}" ${name === selectedReveal ? "selected" : ""}>${reveals[name].label}</option>`).join("")
+	let groupCheckboxes = groups.map(group => `
+			<label class="groupOption"><input type="checkbox" class="groupCheckbox" value="${escapeHtml(group.name)}" ${selectedGroups === null || selectedGroups.includes(group.name) ? "checked" : ""}> ${escapeHtml(group.label)}</label>`).join("")
+	let groupSection = (groups.length === 0 ? "" : `
+		<div class="startScreenSection">
+			<div class="startScreenSectionTitle">Groups</div>${groupCheckboxes}
+		</div>`)
+	let presetButtons = presets.map(preset => `
+			<button class="presetButton" data-preset="${preset.name}" ${preset.problem ? `disabled title="${escapeHtml(preset.problem)}"` : ""}>
+				<span class="presetLabel">${preset.options.label}</span>
+				<span class="presetDetails">${preset.options.rows}×${preset.options.columns}</span>
+			</button>`).join("")
+	return `
+	<div id="${id}" class="startScreen">
+		<div class="startScreenTitle">Kanamemo</div>${seed === null ? "" : `
+		<div class="startScreenSection">Board seed: ${escapeHtml(seed)}</div>`}
+		<div class="startScreenSection">
+			<div class="startScreenSectionTitle">Collections</div>${collectionCheckboxes}${collectionProblem === null ? "" : `
+			<div class="collectionProblem">${escapeHtml(collectionProblem)}</div>`}
+			<div class="collectionDropZone">
+				Add your own: drop a collection file (JSON or text table) here,
+				<label class="collectionFileLabel">pick one <input type="file" class="collectionFileInput" accept="application/json,text/plain,.json,.txt,.tsv"></label>
+				or paste it below.
+				<textarea class="collectionPasteInput" rows="4"></textarea>
+				<button class="collectionPasteButton">Add pasted collection</button>
+			</div>${collectionMessage === null ? "" : `
+			<div class="collectionMessage">${escapeHtml(collectionMessage)}</div>`}
+		</div>
+		<div class="startScreenSection">
+			<div class="startScreenSectionTitle">Scripts</div>
+			<select class="pairingSelect">${pairingOptions}
+			</select>
+		</div>${groupSection}
+		<div class="startScreenSection">
+			<div class="startScreenSectionTitle">Focus</div>
+			<select class="populationSelect">${populationOptions}
+			</select>
+		</div>
+		<div class="startScreenSection">
+			<div class="startScreenSectionTitle">Time limit</div>
+			<select class="timeLimitSelect">${timeLimitOptions}
+			</select>
+		</div>
+		<div class="startScreenSection">
+			<div class="startScreenSectionTitle">Mismatches</div>
+			<select class="revealSelect">${revealOptions}
+			</select>
+			<label class="dismissRevealOption"><input type="checkbox" class="dismissRevealCheckbox" ${dismissRevealOnClick ? "checked" : ""}> Click to hide them early</label>
+		</div>
+		<div class="startScreenSection">
+			<div class="startScreenSectionTitle">Difficulty</div>${presetButtons}
+		</div>
+		<div class="startScreenSection">
+			<button class="statsButton">Statistics</button>
+			<button class="editorButton">Edit collections</button>
+		</div>
+	</div>`
+}
+
+/**
+ * HTML template for the screen listing the player's progress.
+ * @const {function}
+ * @param {string} id - ID for CSS matching.
+ * @param {Object} progress - Object with the attributes "roundCount", "bestTimes" (objects with "board" and "time"),
+ *  "highScores" (objects with "table" and "scores", the latter objects with "score", "date", "moves" and "elapsedTime")
+ *  and "sets" (objects with "pictograms", "attempts", "accuracy", "streak", "bestStreak" and "box").
+ * @param {string} message - Message to show above the statistics (e.g. how an import went), or null.
+ * @returns {string} HTML template literal.
+ */
+const HTML_STATS_SCREEN_MARKUP = function(id, progress, message){
+	let bestTimes = progress.bestTimes.map(bestTime => `
+			<div class="statsLine">${escapeHtml(bestTime.board)}: ${formatDuration(bestTime.time)}</div>`).join("")
+	let highScoreTables = progress.highScores.map(highScores => `
+			<div class="statsLine">${escapeHtml(highScores.table)}</div>
+			<ol class="highScoreList">${highScores.scores.map(entry => `
+				<li>${entry.score} (${entry.moves} moves, ${formatDuration(entry.elapsedTime)}, ${new Date(entry.date).toLocaleDateString()})</li>`).join("")}
+			</ol>`).join("")
+	let setRows = progress.sets.map(set => `
+				<tr>
+					<td>${escapeHtml(set.pictograms.join(" "))}</td>
+					<td>${set.attempts}</td>
+					<td>${Math.round(set.accuracy*100)}%</td>
+					<td>${set.streak}</td>
+					<td>${set.bestStreak}</td>
+					<td>${set.box}</td>
+				</tr>`).join("")
+	return `
+	<div id="${id}" class="statsScreen">
+		<div class="startScreenTitle">Statistics</div>${message === null ? "" : `
+		<div class="statsMessage">${escapeHtml(message)}</div>`}
+		<div class="startScreenSection">
+			<div class="startScreenSectionTitle">Rounds</div>
+			<div class="statsLine">Rounds played: ${progress.roundCount}</div>${bestTimes}
+		</div>
+		<div class="startScreenSection">
+			<div class="startScreenSectionTitle">High scores</div>${highScoreTables || `
+			<div class="statsLine">None yet.</div>`}
+		</div>
+		<div class="startScreenSection">
+			<div class="startScreenSectionTitle">Pictogram sets</div>
+			<table class="statsTable">
+				<tr><th>Set</th><th>Attempts</th><th>Accuracy</th><th>Streak</th><th>Best streak</th><th>Box</th></tr>${setRows}
+			</table>
+		</div>
+		<div class="startScreenSection">
+			<button class="exportButton">Export progress</button>
+			<label class="importLabel">Import progress <input type="file" class="importInput" accept="application/json,.json"></label>
+			<button class="backButton">Back</button>
+		</div>
+	</div>`
+}
+
+/**
+ * HTML template for the collection editor.
+ * @const {function}
+ * @param {string} id - ID for CSS matching.
+ * @param {Array} collections - The collections that can be loaded into the editor, as objects with the attributes "path" and "name".
+ * @param {string} selectedPath - Path of the collection loaded into the editor, or null for a new one.
+ * @param {CollectionEditor} editor - The collection being edited.
+ * @returns {string} HTML template literal.
+ */
+const HTML_EDITOR_SCREEN_MARKUP = function(id, collections, selectedPath, editor){
+	let collectionOptions = collections.map(collection => `
+				<option value="${escapeHtml(collection.path)}" ${collection.path === selectedPath ? "selected" : ""}>${escapeHtml(collection.name)}</option>`).join("")
+	let lastColumn = editor.columns.length - 1
+	let columnHeaders = editor.columns.map((column, index) => `
+					<th>
+						<input class="editorColumnName" data-column="${index}" value="${escapeHtml(column.name)}">
+						<button data-action="moveColumnLeft" data-index="${index}" ${index === 0 ? "disabled" : ""} title="Move left">←</button>
+						<button data-action="moveColumnRight" data-index="${index}" ${index === lastColumn ? "disabled" : ""} title="Move right">→</button>
+						<button data-action="removeColumn" data-index="${index}" title="Remove column">×</button>
+					</th>`).join("")
+	let lastRow = editor.rows.length - 1
+	let rows = editor.rows.map((row, rowIndex) => `
+				<tr>${row.pictograms.map((pictogram, columnIndex) => `
+					<td><input class="editorCell" data-row="${rowIndex}" data-column="${columnIndex}" value="${escapeHtml(pictogram)}"></td>`).join("")}
+					<td><input class="editorRowGroups" data-row="${rowIndex}" value="${escapeHtml(row.groups.join(", "))}"></td>
+					<td><input class="editorRowEquivalence" data-row="${rowIndex}" value="${escapeHtml(row.equivalence)}"></td>
+					<td><input class="editorRowAudio" data-row="${rowIndex}" value="${escapeHtml(row.audio)}"></td>
+					<td>
+						<button data-action="moveRowUp" data-index="${rowIndex}" ${rowIndex === 0 ? "disabled" : ""} title="Move up">↑</button>
+						<button data-action="moveRowDown" data-index="${rowIndex}" ${rowIndex === lastRow ? "disabled" : ""} title="Move down">↓</button>
+						<button data-action="removeRow" data-index="${rowIndex}" title="Remove set">×</button>
+					</td>
+				</tr>`).join("")
+	return `
+	<div id="${id}" class="editorScreen">
+		<div class="startScreenTitle">Collection editor</div>
+		<div class="startScreenSection">
+			<select class="editorCollectionSelect">
+				<option value="" ${selectedPath === null ? "selected" : ""}>New collection</option>${collectionOptions}
+			</select>
+		</div>
+		<div class="startScreenSection">
+			<label class="editorField">Name <input class="editorName" value="${escapeHtml(editor.name)}"></label>
+			<label class="editorField">Description <textarea class="editorDescription" rows="2">${escapeHtml(editor.description)}</textarea></label>
+		</div>
+		<div class="startScreenSection">
+			<table class="editorTable">
+				<tr>${columnHeaders}
+					<th>Groups</th>
+					<th>Equivalence</th>
+					<th>Audio</th>
+					<th><button data-action="addColumn" data-index="${editor.columns.length}">Add column</button></th>
+				</tr>${rows}
+			</table>
+			<button data-action="addRow" data-index="${editor.rows.length}">Add set</button>
+		</div>
+		<div class="startScreenSection editorStatus"></div>
+		<div class="startScreenSection">
+			<button class="editorExportButton">Export JSON</button>
+			<button class="backButton">Back</button>
+		</div>
+	</div>`
+}
+
+/**
+ * HTML template for the live part of the collection editor: what's wrong with the collection, or a sample board of it.
+ * @const {function}
+ * @param {Array} problems - The problems of the collection, as CollectionError objects.
  * @returns {string} HTML template literal.
  */
-const HTML_MATCHED_TILE_MARKUP = function(id, skin){
+const HTML_EDITOR_STATUS_MARKUP = function(problems){
+	if (problems.length === 0) {
+		return `
+			<div class="startScreenSectionTitle">Sample board</div>
+			<div class="editorPreview"></div>`
+	}
+	let problemLines = problems.map(problem => `
+				<li>${escapeHtml(problem.message)}</li>`).join("")
 	return `
-	<div id="${id}" class="tile matched_tile" style="background-image: url(${skin.background});"></div>`
+			<div class="startScreenSectionTitle">Problems</div>
+			<ul class="editorProblems">${problemLines}
+			</ul>`
 }
 
 /**
  * Text template to construct the CSS tile ID for use in the tile HTML templates.
  * @const {function}
- * @param {string} id - The ID associated with the Tile object (value of Tile.prototype.id).
+ * @param {string} id - The ID associated with the Tile object (value of Tile.prototype.tileId).
  * @returns {string} HTML template literal.
  */
 const TILE_HANDLE=function(id){return `tile_${id}`}
 
+/**
+ * Text template to construct the CSS grid ID, unique to each Grid object on the page.
+ * @const {function}
+ * @param {number} number - Number of the Grid object, counting from 1 in order of creation.
+ * @returns {string} HTML template literal.
+ */
+const GRID_HANDLE=function(number){return `grid_${number}`}
+
 /**
  * Class representing throwable errors.
  * @property  {Array} tags - Tags this error is supposed to be associated with.
@@ -182,6 +669,14 @@ class Error {
 		}
 	}
 	
+	/**
+	 * The error title and message, for when the error object itself is thrown and ends up being printed.
+	 * @returns {string}
+	 */
+	toString() {
+		return this.errorTitle+": "+this.message
+	}
+	
 	/**
 	 * Posts the error title and a trace to the console, and returns the error message.
 	 * Intended to be used in conjuction with throw.
@@ -205,10 +700,227 @@ class FileError extends Error {
 	/**
 	 * Tags:
 	 *  - NOT_FOUND: File not found.
+	 *  - NETWORK_ERROR: The file couldn't be requested at all (e.g. we're offline).
+	 *  - BAD_STATUS: The file was requested, but the response status wasn't 200 (OK).
+	 *  - MALFORMED_JSON: The file content isn't valid JSON.
+	 *  - MALFORMED_TEXT: The file content isn't a valid text collection (see TextCollectionFile).
+	 *  - UNWRITABLE: The collection can't be written in the requested format.
+	 * @protected
+	 */
+	get _availableTags() {
+		return [...Error.prototype._availableTags, "NOT_FOUND", "NETWORK_ERROR", "BAD_STATUS", "MALFORMED_JSON", "MALFORMED_TEXT", "UNWRITABLE"]
+	}
+}
+
+/**
+ * Error concerning the options a game is supposed to be played with.
+ * @augments Error - Constructor remains unchanged.
+ */
+class GameOptionsError extends Error {
+	
+	/**
+	 * Tags:
+	 *  - UNKNOWN_PRESET: There's no preset by the specified name.
+	 *  - INVALID_DIMENSIONS: Rows, columns or tiles per match aren't positive integers.
+	 *  - INDIVISIBLE_BOARD: The number of tiles isn't divisible by the number of tiles per match.
+	 *  - NOT_ENOUGH_SETS: The collection doesn't have enough pictogram sets to fill the board.
+	 *  - MATCH_TOO_LARGE: The collection's pictogram sets are too small for the number of tiles per match.
+	 *  - UNKNOWN_PAIRING: There's no pairing mode by the specified name.
+	 *  - MISSING_COLUMN: The pairing mode asks for a column the collection's pictogram sets don't have.
+	 *  - UNKNOWN_GROUP: The collection doesn't declare a group by the specified name.
+	 *  - UNKNOWN_MATCHING: There's no matching strategy by the specified name.
+	 *  - UNKNOWN_POPULATION: There's no population strategy by the specified name.
+	 *  - UNKNOWN_TIME_LIMIT: There's no time limit by the specified name.
+	 *  - UNKNOWN_REVEAL: There's no reveal duration by the specified name.
+	 * @protected
+	 */
+	get _availableTags() {
+		return [...Error.prototype._availableTags, "UNKNOWN_PRESET", "INVALID_DIMENSIONS", "INDIVISIBLE_BOARD", "NOT_ENOUGH_SETS", "MATCH_TOO_LARGE", "UNKNOWN_PAIRING", "MISSING_COLUMN", "UNKNOWN_GROUP", "UNKNOWN_MATCHING", "UNKNOWN_POPULATION", "UNKNOWN_TIME_LIMIT", "UNKNOWN_REVEAL"]
+	}
+}
+
+/**
+ * Tells the time. Anything time dependent asks a Clock object instead of Date, so a
+ * fake clock can be passed in where the time needs to be under control (e.g. in tests).
+ */
+class Clock {
+	
+	/**
+	 * The current time.
+	 * @returns {number} Milliseconds since the epoch.
+	 */
+	now() {
+		return Date.now()
+	}
+	
+	/**
+	 * Call a function over and over, every time the specified interval has passed.
+	 * @param {function} callback - The function.
+	 * @param {number} interval - Milliseconds between calls.
+	 * @returns {number} ID to stop the calls with, see clearInterval.
+	 */
+	setInterval(callback, interval) {
+		return window.setInterval(callback, interval)
+	}
+	
+	/**
+	 * Stop calls started with setInterval.
+	 * @param {number} id - What setInterval returned.
+	 */
+	clearInterval(id) {
+		window.clearInterval(id)
+	}
+	
+	/**
+	 * Call a function once the specified time has passed.
+	 * @param {function} callback - The function.
+	 * @param {number} timeout - Milliseconds to wait before the call.
+	 * @returns {number} ID to call it off with, see clearTimeout.
+	 */
+	setTimeout(callback, timeout) {
+		return window.setTimeout(callback, timeout)
+	}
+	
+	/**
+	 * Call off a call set up with setTimeout, unless it's already been made.
+	 * @param {number} id - What setTimeout returned.
+	 */
+	clearTimeout(id) {
+		window.clearTimeout(id)
+	}
+}
+
+/**
+ * Error concerning the progress saved between sessions.
+ * @augments Error - Constructor remains unchanged.
+ */
+class ProgressError extends Error {
+	
+	/**
+	 * Tags:
+	 *  - INVALID_IMPORT: The data to import isn't progress exported by Kanamemo.
+	 * @protected
+	 */
+	get _availableTags() {
+		return [...Error.prototype._availableTags, "INVALID_IMPORT"]
+	}
+}
+
+/**
+ * Error concerning the content of a collection, as found by a CollectionValidator.
+ * @augments Error
+ * @property {number} setIndex - Index of the offending entry of "sets", null if the error isn't about a set.
+ */
+class CollectionError extends Error {
+	
+	/**
+	 * Create a CollectionError object.
+	 * @param {Array} tags - Tags this error is supposed to be associated with.
+	 * @param {string} message - The error message.
+	 * @param {number} setIndex - Index of the offending entry of "sets", if the error is about a set.
+	 */
+	constructor(tags, message, setIndex=null) {
+		super(tags, message)
+		this.setIndex = setIndex
+	}
+	
+	/**
+	 * Tags:
+	 *  - INVALID_SCHEMA: A field is missing, has the wrong type or is empty, or a set has the wrong number of pictograms.
+	 *  - DUPLICATE_ENTRY: A value appears twice where it has to be unique.
+	 *  - UNDECLARED_GROUP: A set is tagged with a group the collection doesn't declare.
+	 *  - UNKNOWN_COLLECTION: The collection index doesn't list a collection by the specified path, or it couldn't be loaded.
+	 *  - NO_COLLECTION: No collection was selected to play with.
+	 * @protected
+	 */
+	get _availableTags() {
+		return [...Error.prototype._availableTags, "INVALID_SCHEMA", "DUPLICATE_ENTRY", "UNDECLARED_GROUP", "UNKNOWN_COLLECTION", "NO_COLLECTION"]
+	}
+}
+
+/**
+ * Error concerning a theme pack or the index listing them.
+ * @augments Error
+ */
+class ThemeError extends Error {
+	
+	/**
+	 * Tags:
+	 *  - INVALID_THEME: A field is missing or has the wrong type, or a CSS variable is misnamed.
+	 *  - UNKNOWN_THEME: The theme index doesn't list a theme by the specified path, or it couldn't be loaded.
+	 * @protected
+	 */
+	get _availableTags() {
+		return [...Error.prototype._availableTags, "INVALID_THEME", "UNKNOWN_THEME"]
+	}
+}
+
+/**
+ * Error concerning the events of an EventBus.
+ * @augments Error - Constructor remains unchanged.
+ */
+class EventBusError extends Error {
+	
+	/**
+	 * Tags:
+	 *  - UNKNOWN_EVENT_TYPE: The event bus doesn't have events of the specified type.
 	 * @protected
 	 */
 	get _availableTags() {
-		return [...Error.prototype._availableTags, "NOT_FOUND"]
+		return [...Error.prototype._availableTags, "UNKNOWN_EVENT_TYPE"]
+	}
+}
+
+/**
+ * Source of random numbers. Anything random asks a Random object instead of Math.random,
+ * so a seeded one can be passed in where results need to be reproducible.
+ */
+class Random {
+	
+	/**
+	 * Get the next random number.
+	 * @returns {number} A number from 0 (inclusive) to 1 (exclusive).
+	 */
+	next() {
+		return Math.random()
+	}
+}
+
+/**
+ * Random object producing the same sequence of numbers for the same seed (mulberry32).
+ * @augments Random
+ * @property {number} state - 32 bit state the next number is derived from.
+ */
+class SeededRandom extends Random {
+	
+	/**
+	 * Create a SeededRandom object.
+	 * @param {number} seed - 32 bit integer to start from.
+	 */
+	constructor(seed) {
+		super()
+		this.state = seed >>> 0
+	}
+	
+	/**
+	 * Create a SeededRandom object from a string seed, like one passed in the page URL.
+	 * @param {string} seed - Any string. It's hashed (FNV-1a) into a 32 bit integer.
+	 * @returns {SeededRandom}
+	 */
+	static fromString(seed) {
+		let hash = 2166136261
+		for (let i = 0; i < seed.length; i++) {
+			hash = Math.imul(hash ^ seed.charCodeAt(i), 16777619)
+		}
+		return new SeededRandom(hash)
+	}
+	
+	next() {
+		this.state = (this.state + 0x6D2B79F5) >>> 0
+		let t = this.state
+		t = Math.imul(t ^ (t >>> 15), t | 1)
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+		return ((t ^ (t >>> 14)) >>> 0)/4294967296
 	}
 }
 
@@ -276,13 +988,14 @@ class KanamemoArray extends Array {
 	
 	/**
 	 * Randomize elements according to Fisher-Yates.
+	 * @param {Random} random - Source of random numbers (default: Math.random based).
 	 * @returns {this}
 	 */
-	shuffle() {
+	shuffle(random=new Random()) {
 		if (this.length > 0) {
 			let currentIndex = this.length
 			while (currentIndex !== 0) {
-				let randomIndex = Math.floor(Math.random()*currentIndex)
+				let randomIndex = Math.floor(random.next()*currentIndex)
 				--currentIndex;
 				this.swap(currentIndex, randomIndex)
 			}
@@ -314,28 +1027,155 @@ class KanamemoArray extends Array {
 class Pictogram {}
 
 /**
- * Ties together pictograms that can be matched with each other.
+ * Declaration of a column of a collection, i.e. which kind of pictogram goes in that position of every set.
+ * @property {string} name - Name to refer to the column by (e.g. "hiragana").
+ * @property {string} label - Human readable name (e.g. "Hiragana").
+ * @property {string} lang - BCP 47 language tag of the pictograms (e.g. "ja"), or null if unknown.
+ * @property {string} font - CSS font family to display the pictograms in, or null for the default.
  */
-class PictogramSet extends KanamemoArray {
+class PictogramColumn {
+	
+	/**
+	 * Create a PictogramColumn object.
+	 * @param {Object} declaration - Object with the attribute "name" and any of "label" (default: the name), "lang" and "font".
+	 */
+	constructor({name, label=name, lang=null, font=null}) {
+		this.name = name
+		this.label = label
+		this.lang = lang
+		this.font = font
+	}
+	
+	/**
+	 * The declaration as it goes in a collection file, leaving out what isn't declared.
+	 * @returns {Object}
+	 */
+	toJSON() {
+		let declaration = {name: this.name}
+		if (this.label !== this.name) {declaration.label = this.label}
+		if (this.lang !== null) {declaration.lang = this.lang}
+		if (this.font !== null) {declaration.font = this.font}
+		return declaration
+	}
+}
+
+/**
+ * Ties together pictograms that can be matched with each other.
+ * Pictograms can also be accessed by column name (e.g. set.hiragana), unless the name is taken by something else
+ * (like "length" or "map") — getPictogram always works.
+ * @property {Array} columns - Names of the columns the pictograms belong to, in the same order as the pictograms.
+ * @property {Array} columnDeclarations - PictogramColumn objects for the columns, in the same order as the pictograms.
+ * @property {Array} groups - Names of the groups the set is tagged with (e.g. "k-row" or "dakuten").
+ * @property {string} equivalence - Name of the equivalence class of sets we can be matched with (e.g. "ji" for じ and ぢ), or null.
+ * @property {string} audio - URL of a recording of the set's reading, or null.
+ */
+class PictogramSet extends KanamemoArray {
 	
 	/**
 	 * Create a PictogramSet object.
 	 * @param {Array} pictograms - The pictograms that make up this set.
+	 * @param {Array} columns - Names or PictogramColumn objects of the columns the pictograms belong to, in the same order (default: no names).
+	 * @param {Array} groups - Names of the groups the set is tagged with (default: none).
+	 * @param {string} equivalence - Name of the equivalence class of sets we can be matched with (default: null, none).
+	 * @param {string} audio - URL of a recording of the set's reading (default: null, none).
 	 */
-	constructor(pictograms) {
+	constructor(pictograms, columns=[], groups=[], equivalence=null, audio=null) {
 		super(pictograms)
+		this.columnDeclarations = columns.map(column => (column instanceof PictogramColumn ? column : new PictogramColumn({name: column})))
+		this.columns = this.columnDeclarations.map(column => column.name)
+		this.groups = groups
+		this.equivalence = equivalence
+		this.audio = audio
+		this.columns.forEach((column, index) => {
+			if (!(column in this)) {
+				Object.defineProperty(this, column, {get: () => this[index]})
+			}
+		})
+	}
+	
+	/**
+	 * A string identifying the set by its pictograms, e.g. for keeping records about it.
+	 * @example "ji|ぢ|ヂ" for the set ["ji", "ぢ", "ヂ"].
+	 * @returns {string}
+	 */
+	get key() {
+		return this.join("|")
+	}
+	
+	/**
+	 * Are we equivalent to the specified set? That's the case if it's us, or if we share an equivalence class.
+	 * @param {PictogramSet} pictogramSet - The set to compare with.
+	 * @returns {boolean}
+	 */
+	isEquivalentTo(pictogramSet) {
+		return this === pictogramSet || (this.equivalence !== null && this.equivalence === pictogramSet.equivalence)
+	}
+	
+	/**
+	 * Are we tagged with the specified group?
+	 * @param {string} group - Group name (e.g. "k-row").
+	 * @returns {boolean}
+	 */
+	isInGroup(group) {
+		return this.groups.includes(group)
+	}
+	
+	/**
+	 * Do we have a pictogram in the specified column?
+	 * @param {string} column - Column name (e.g. "hiragana").
+	 * @returns {boolean}
+	 */
+	hasColumn(column) {
+		return this.columns.includes(column)
+	}
+	
+	/**
+	 * Get the pictogram in the specified column.
+	 * @example kanaSet.getPictogram("hiragana") returns "あ" for the set ["a", "あ", "ア"].
+	 * @param {string} column - Column name (e.g. "hiragana").
+	 * @returns {string} The pictogram, or undefined if we don't have that column.
+	 */
+	getPictogram(column) {
+		return this[this.columns.indexOf(column)]
+	}
+	
+	/**
+	 * Get the declaration of the column the specified pictogram is in.
+	 * @param {string} pictogram - One of our pictograms.
+	 * @returns {PictogramColumn} The declaration, or undefined if the pictogram isn't ours or its column is unnamed.
+	 */
+	getColumnDeclaration(pictogram) {
+		return this.columnDeclarations[this.indexOf(pictogram)]
 	}
 	
 	/**
 	 * Get a pair of two randomly picked pictograms from the set.
+	 * @param {Random} random - Source of random numbers (default: Math.random based).
 	 * @returns {KanamemoArray} Array comprised of the randomly picked pictograms.
 	 */
-	getRandomPair() {
-		let pictogramsAvailable = new KanamemoArray(this)
+	getRandomPair(random=new Random()) {
+		return this.getRandomGroup(2, null, [], random)
+	}
+	
+	/**
+	 * Get a group of randomly picked pictograms from the set, none of them picked twice.
+	 * @param {number} size - How many pictograms to pick.
+	 * @param {Array} columns - Names of the columns to pick from. Null to pick from all of them (default).
+	 * @param {Array} excluded - Pictograms not to pick, even if they're in one of the columns (default: none).
+	 * @param {Random} random - Source of random numbers (default: Math.random based).
+	 * @returns {KanamemoArray} Array comprised of the randomly picked pictograms, or null if there aren't enough to pick from.
+	 */
+	getRandomGroup(size, columns=null, excluded=[], random=new Random()) {
+		let pictograms = (columns === null ? [...this] : columns.map(column => this.getPictogram(column)))
+		let pictogramsAvailable = new KanamemoArray(pictograms.filter(pictogram => !excluded.includes(pictogram)))
 		let pictogramsChosen = new KanamemoArray()
 		
-		pictogramsAvailable.shuffle()
-		for (let i = 0; i < 2; i++)  { // Loop twice.
+		if (pictogramsAvailable.length < size) {
+			return null
+		}
+		
+		pictogramsAvailable.shuffle(random)
+		for (let i = 0; i < size; i++)  {
 			pictogramsChosen.push(pictogramsAvailable.pop())
 		}
 		return pictogramsChosen
@@ -343,7 +1183,23 @@ class PictogramSet extends KanamemoArray {
 }
 
 /**
- * A PictogramSet consisting of a matching romaji, hiragana and katakana.
+ * Declarations of the columns of a KanaSet, which collections that don't declare their columns are assumed to have.
+ * @const {Array}
+ */
+const KANA_COLUMN_DECLARATIONS = [
+	new PictogramColumn({name: "romaji", label: "Romaji", lang: "ja-Latn"}),
+	new PictogramColumn({name: "hiragana", label: "Hiragana", lang: "ja"}),
+	new PictogramColumn({name: "katakana", label: "Katakana", lang: "ja"})
+]
+
+/**
+ * Names of the columns of a KanaSet.
+ * @const {Array}
+ */
+const KANA_COLUMNS = KANA_COLUMN_DECLARATIONS.map(column => column.name)
+
+/**
+ * A PictogramSet consisting of a matching romaji, hiragana and katakana, i.e. a PictogramSet with the KANA_COLUMN_DECLARATIONS.
  */
 class KanaSet extends PictogramSet {
 	
@@ -352,53 +1208,61 @@ class KanaSet extends PictogramSet {
 	 * @param {string} romaji - 
 	 * @param {string} hiragana - 
 	 * @param {string} katakana - 
+	 * @param {Array} groups - Names of the groups the set is tagged with (default: none).
+	 * @param {string} equivalence - Name of the equivalence class of sets we can be matched with (default: null, none).
+	 * @param {string} audio - URL of a recording of the set's reading (default: null, none).
 	 */
-	constructor(romaji, hiragana, katakana) {
-		super([romaji, hiragana, katakana])
-		this.romaji = romaji
-		this.hiragana = hiragana
-		this.katakana = katakana
+	constructor(romaji, hiragana, katakana, groups=[], equivalence=null, audio=null) {
+		super([romaji, hiragana, katakana], KANA_COLUMN_DECLARATIONS, groups, equivalence, audio)
 	}
 }
 
 /**
  * File handler that can open and read files into strings.
+ * Opening is asynchronous; everything else only works once open has resolved.
+ * @property {string} path - Filesystem or HTTP path.
+ * @property {string} mode - Either FILE (not implemented) or HTTP.
+ * @property {Response} response - The response to our request, null until opened.
+ * @property {string} content - The file content, null until opened.
  */
 class File {
 	
 	/**
-	 * Create a file handler and, if so specified, load the file.
+	 * Create a file handler. Call open to load the file.
 	 * @param {string} path - Filesystem or HTTP path.
 	 * @param {string} mode - Either FILE (not implemented) or HTTP.
-	 * @param {boolean} openImmediately - True to run .open right away from the constructor (default).
 	 */
-	constructor(path, mode, openImmediately=true) {
+	constructor(path, mode) {
 		this.path = path
 		this.mode = mode
-		this.request = new XMLHttpRequest()
-		if (openImmediately) {
-			this.open(this.path)
-		}
+		this.response = null
+		this.content = null
 	}
 	
 	/**
 	 * Open the file.
-	 * @param {string} path - Filesystem or HTTP path.
-	 * @return File contents.
+	 * The FileError thrown on failure is thrown as is (not embedded), so its tags can be checked by whoever catches it.
+	 * @returns {Promise} Resolves to the file contents.
+	 * @throws {FileError} NETWORK_ERROR if the file couldn't be requested, BAD_STATUS (and NOT_FOUND for 404) if the response wasn't OK.
 	 */
-	open(path) {
-		this.request.open("GET", path, false)
-		this.request.send()
+	async open() {
+		try {
+			this.response = await fetch(this.path)
+		} catch (error) {
+			throw new FileError(["NETWORK_ERROR"], "Couldn't request file: "+this.path+" ("+error.message+")")
+		}
 		if (!this.requestSuccessful()) {
-			throw new FileError(["NOT_FOUND"], "File not found: "+path).embed()
+			let tags = (this.responseCode === 404 ? ["BAD_STATUS", "NOT_FOUND"] : ["BAD_STATUS"])
+			throw new FileError(tags, "Couldn't get file: "+this.path+" (status "+this.responseCode+")")
 		}
-		return this.getContent()
+		this.content = await this.response.text()
+		return this.content
 	}
 	
-	
-	
-	
-	
+	/**
+	 * Was the file found and delivered?
+	 * @returns {boolean}
+	 */
 	requestSuccessful() {
 		if (this.mode === "HTTP") {
 			if (this.responseCode == 200) {
@@ -413,7 +1277,7 @@ class File {
 	 * @return {string} file content.
 	 */
 	getContent() {
-		return this.request.responseText
+		return this.content
 	}
 	
 	/**
@@ -421,7 +1285,7 @@ class File {
 	 * @return {string} URL/file path.
 	 */
 	getResolvedPath() {
-		return this.request.responseURL
+		return this.response.url
 	}
 	
 	/**
@@ -429,21 +1293,455 @@ class File {
 	 * @return {number} response code.
 	 */
 	get responseCode() {
-		return this.request.status
+		return this.response.status
 	}
 }
 
 
 /**
  * File subclass with JSON functionality.
+ * Collection files in JSON are read and written as is.
  */
 class JsonFile extends File {
+	
+	/**
+	 * Parse the content of a JSON collection file.
+	 * @param {string} content - File content.
+	 * @param {string} path - File path, for error messages.
+	 * @returns {Object} The collection.
+	 * @throws {FileError} MALFORMED_JSON if the content isn't valid JSON.
+	 */
+	static parseCollection(content, path="") {
+		try {
+			return JSON.parse(content)
+		} catch (error) {
+			throw new FileError(["MALFORMED_JSON"], "File isn't valid JSON"+(path ? ": "+path : "")+" ("+error.message+")")
+		}
+	}
+	
+	/**
+	 * Write a collection as JSON.
+	 * @param {Object} collection - The collection, as parsed from any collection file.
+	 * @returns {string} File content.
+	 */
+	static serializeCollection(collection) {
+		return JSON.stringify(collection, null, "\t")+"\n"
+	}
+	
 	/**
 	 * Return JSON parsed from the file.
+	 * @throws {FileError} MALFORMED_JSON if the content isn't valid JSON.
 	 */
 	getJson() {
-		let deb = this.getContent()
-		return JSON.parse(this.getContent())
+		return JsonFile.parseCollection(this.getContent(), this.path)
+	}
+	
+	/**
+	 * Return the collection in the file.
+	 * @returns {Object}
+	 * @throws {FileError} MALFORMED_JSON if the content isn't valid JSON.
+	 */
+	getCollection() {
+		return this.getJson()
+	}
+}
+
+/**
+ * Marker lines of the sections in a text collection file.
+ * @const {Object}
+ */
+const TEXT_COLLECTION_MARKERS = {
+	columns: {start: "%%COLUMNS: START%%", end: "%%COLUMNS: END%%"},
+	groups: {start: "%%GROUPS: START%%", end: "%%GROUPS: END%%"},
+	table: {start: "%%TABLE: START%%", end: "%%TABLE: END%%"},
+}
+
+/**
+ * File subclass for collections in plain text, which is a lot easier to write by hand than JSON.
+ * The first line is the collection's name, the second its description. Next come optional sections
+ * of column declarations, one per line as tab-separated name, label, lang and font (leave out or
+ * leave empty what isn't declared), and of group declarations, one per line as tab-separated name
+ * and label, then the table of sets, one per line as tab-separated pictograms:
+ * 
+ *     Test Collection
+ *     This is a test file for collection type file tests.
+ *     %%COLUMNS: START%%
+ *     upper	Upper case	en
+ *     lower	Lower case	en
+ *     other	Other case	en	serif
+ *     %%COLUMNS: END%%
+ *     %%GROUPS: START%%
+ *     first	First letters
+ *     %%GROUPS: END%%
+ *     %%TABLE: START%%
+ *     A	B	C	%groups=first
+ *     D	E	F
+ *     %%TABLE: END%%
+ * 
+ * After its pictograms, a set may be annotated with the groups it's tagged with ("%groups=", comma-separated),
+ * its equivalence class ("%equivalence=") and a recording of its reading ("%audio="). Blank lines are ignored.
+ */
+class TextCollectionFile extends File {
+	
+	/**
+	 * Parse the content of a text collection file.
+	 * @param {string} content - File content.
+	 * @param {string} path - File path, for error messages.
+	 * @returns {Object} The collection, in the same form as in a JSON collection file.
+	 * @throws {FileError} MALFORMED_TEXT, with the line number in the message, if the content isn't a valid text collection.
+	 */
+	static parseCollection(content, path="") {
+		let lines = content.split(/\r?\n/)
+		let fail = (index, message) => {
+			throw new FileError(["MALFORMED_TEXT"], "Malformed collection"+(path ? " file "+path : "")+", line "+(index+1)+": "+message)
+		}
+		let isMarker = line => line.startsWith("%%")
+		
+		if (lines[0].trim() === "" || isMarker(lines[0])) {
+			fail(0, "Expected the collection name.")
+		}
+		if (lines.length < 2 || isMarker(lines[1])) {
+			fail(1, "Expected the collection description.")
+		}
+		let columns = null
+		let groups = null
+		let sets = []
+		
+		// Returns the index of the end marker.
+		let readSection = (startIndex, section, readLine) => {
+			for (let index = startIndex+1; index < lines.length; index++) {
+				if (lines[index] === section.end) {
+					return index
+				}
+				if (isMarker(lines[index])) {
+					fail(index, "Expected "+section.end+" before "+lines[index]+".")
+				}
+				if (lines[index].trim() !== "") {
+					readLine(lines[index], index)
+				}
+			}
+			fail(startIndex, "No "+section.end+" for the "+section.start+" here.")
+		}
+		
+		let hasTable = false
+		for (let index = 2; index < lines.length; index++) {
+			let line = lines[index]
+			if (line.trim() === "") {
+				continue
+			}
+			if (line === TEXT_COLLECTION_MARKERS.columns.start && !hasTable && !groups && !columns) {
+				columns = []
+				index = readSection(index, TEXT_COLLECTION_MARKERS.columns, (line, index) => {
+					let cells = line.split("\t")
+					if (cells.length > 4 || cells[0] === "") {
+						fail(index, "Expected a column name and optionally its label, lang and font, separated by tabs.")
+					}
+					let column = {name: cells[0]}
+					;["label", "lang", "font"].forEach((attribute, cellIndex) => {
+						if (cells[cellIndex+1]) {
+							column[attribute] = cells[cellIndex+1]
+						}
+					})
+					columns.push(column)
+				})
+			} else if (line === TEXT_COLLECTION_MARKERS.groups.start && !hasTable && !groups) {
+				groups = []
+				index = readSection(index, TEXT_COLLECTION_MARKERS.groups, (line, index) => {
+					let cells = line.split("\t")
+					if (cells.length !== 2 || cells[0] === "" || cells[1] === "") {
+						fail(index, "Expected a group name and label, separated by a tab.")
+					}
+					groups.push({name: cells[0], label: cells[1]})
+				})
+			} else if (line === TEXT_COLLECTION_MARKERS.table.start && !hasTable) {
+				hasTable = true
+				index = readSection(index, TEXT_COLLECTION_MARKERS.table, (line, index) => {
+					let set = TextCollectionFile.parseSet(line, message => fail(index, message))
+					let width = (sets.length > 0 ? TextCollectionFile.getPictograms(sets[0]).length : set.pictograms.length)
+					if (set.pictograms.length !== width) {
+						fail(index, "Expected "+width+" pictograms, like in the first set, but found "+set.pictograms.length+".")
+					}
+					sets.push(set.groups || set.equivalence || set.audio ? set : set.pictograms)
+				})
+			} else {
+				fail(index, "Unexpected line: "+line)
+			}
+		}
+		if (!hasTable) {
+			fail(lines.length-1, "No "+TEXT_COLLECTION_MARKERS.table.start+" found.")
+		}
+		let collection = {name: lines[0], description: lines[1]}
+		if (columns) {collection.columns = columns}
+		if (groups) {collection.groups = groups}
+		collection.sets = sets
+		return collection
+	}
+	
+	/**
+	 * Parse a line of the table.
+	 * @param {string} line - The line.
+	 * @param {function} fail - Called with a message if the line isn't valid.
+	 * @returns {Object} The set, with the attributes "pictograms" and, if annotated, "groups", "equivalence" and "audio".
+	 */
+	static parseSet(line, fail) {
+		let set = {pictograms: []}
+		for (let cell of line.split("\t")) {
+			if (cell.startsWith("%groups=")) {
+				set.groups = cell.slice("%groups=".length).split(",").filter(group => group !== "")
+			} else if (cell.startsWith("%equivalence=")) {
+				set.equivalence = cell.slice("%equivalence=".length)
+			} else if (cell.startsWith("%audio=")) {
+				set.audio = cell.slice("%audio=".length)
+			} else if (cell.startsWith("%")) {
+				fail("Unknown annotation: "+cell)
+			} else if (set.groups || set.equivalence || set.audio) {
+				fail("Expected annotations to come after the pictograms.")
+			} else if (cell === "") {
+				fail("Expected a pictogram in every cell.")
+			} else {
+				set.pictograms.push(cell)
+			}
+		}
+		return set
+	}
+	
+	/**
+	 * Get the pictograms of an entry of "sets" in a collection.
+	 * @param {Array|Object} set - Either an array of pictograms, or an object with the attribute "pictograms".
+	 * @returns {Array}
+	 */
+	static getPictograms(set) {
+		return (Array.isArray(set) ? set : set.pictograms)
+	}
+	
+	/**
+	 * Write a collection as text.
+	 * @param {Object} collection - The collection, as parsed from any collection file.
+	 * @returns {string} File content.
+	 * @throws {FileError} UNWRITABLE if any of the collection's text can't be told apart from the format's own.
+	 */
+	static serializeCollection(collection) {
+		let check = (text, what) => {
+			if (/[\t\r\n]/.test(text) || String(text).startsWith("%")) {
+				throw new FileError(["UNWRITABLE"], "Can't write "+what+" as text (no tabs or line breaks, no leading %): "+text)
+			}
+			return text
+		}
+		let lines = [check(collection.name, "the name"), check(collection.description || "", "the description")]
+		if (collection.columns && collection.columns.length > 0) {
+			lines.push(TEXT_COLLECTION_MARKERS.columns.start)
+			collection.columns.forEach(column => {
+				let cells = [column.name, column.label || "", column.lang || "", column.font || ""].map(cell => check(cell, "a column declaration"))
+				while (cells[cells.length-1] === "") {
+					cells.pop()
+				}
+				lines.push(cells.join("\t"))
+			})
+			lines.push(TEXT_COLLECTION_MARKERS.columns.end)
+		}
+		if (collection.groups && collection.groups.length > 0) {
+			lines.push(TEXT_COLLECTION_MARKERS.groups.start)
+			collection.groups.forEach(group => {
+				lines.push(check(group.name, "a group name")+"\t"+check(group.label, "a group label"))
+			})
+			lines.push(TEXT_COLLECTION_MARKERS.groups.end)
+		}
+		lines.push(TEXT_COLLECTION_MARKERS.table.start)
+		collection.sets.forEach(set => {
+			let cells = TextCollectionFile.getPictograms(set).map(pictogram => check(pictogram, "a pictogram"))
+			if (!Array.isArray(set)) {
+				(set.groups || []).forEach(group => check(group, "a group name"))
+				if (set.groups && set.groups.length > 0) {
+					cells.push("%groups="+set.groups.join(","))
+				}
+				if (set.equivalence) {
+					cells.push("%equivalence="+check(set.equivalence, "an equivalence class"))
+				}
+				if (set.audio) {
+					cells.push("%audio="+check(set.audio, "an audio path"))
+				}
+			}
+			lines.push(cells.join("\t"))
+		})
+		lines.push(TEXT_COLLECTION_MARKERS.table.end)
+		return lines.join("\n")+"\n"
+	}
+	
+	/**
+	 * Return the collection in the file.
+	 * @returns {Object}
+	 * @throws {FileError} MALFORMED_TEXT if the content isn't a valid text collection.
+	 */
+	getCollection() {
+		return TextCollectionFile.parseCollection(this.getContent(), this.path)
+	}
+}
+
+/**
+ * Checks a collection, as parsed from a collection file, before any pictogram sets are made from it.
+ * 
+ * A collection needs a non-empty "name" and a non-empty array of "sets"; "description" and "groups" are optional.
+ * Every set needs exactly one non-empty string per column. Within a set, no pictogram may appear twice; across sets,
+ * no column may have the same pictogram twice, unless both sets are in the same equivalence class (e.g. "ji" for じ and ぢ).
+ * Groups need a unique name and a label, and sets may only be tagged with declared groups. A set's "audio" has to be a path or URL.
+ * Columns need a unique name; their "label", "lang" and "font" are optional, but have to be non-empty text if present.
+ * @property {number} defaultColumnCount - Number of pictograms every set has to have in collections that don't declare their columns.
+ */
+class CollectionValidator {
+	
+	/**
+	 * Create a CollectionValidator object.
+	 * @param {number} defaultColumnCount - Number of pictograms every set has to have in collections that don't declare their columns (default: one per kana column).
+	 */
+	constructor(defaultColumnCount=KANA_COLUMNS.length) {
+		this.defaultColumnCount = defaultColumnCount
+	}
+	
+	/**
+	 * Find everything that's wrong with the collection.
+	 * @param {Object} collection - The collection, as parsed from a collection file.
+	 * @returns {Array} CollectionError objects, one for each problem found. Empty if there are none.
+	 */
+	check(collection) {
+		let problems = []
+		let isText = value => typeof(value) === "string" && value !== ""
+		let schemaProblem = (message, setIndex=null) => {
+			problems.push(new CollectionError(["INVALID_SCHEMA"], message, setIndex))
+		}
+		
+		if (collection === null || typeof(collection) !== "object" || Array.isArray(collection)) {
+			schemaProblem("The collection has to be an object.")
+			return problems
+		}
+		if (!isText(collection.name)) {
+			schemaProblem("The collection needs a name.")
+		}
+		if ("description" in collection && typeof(collection.description) !== "string") {
+			schemaProblem("The collection's description has to be text.")
+		}
+		
+		let groupNames = []
+		if ("groups" in collection) {
+			if (!Array.isArray(collection.groups)) {
+				schemaProblem("The collection's groups have to be an array.")
+			} else {
+				collection.groups.forEach((group, index) => {
+					if (group === null || !isText(group.name) || !isText(group.label)) {
+						schemaProblem("Group "+index+" needs a name and a label.")
+					} else if (groupNames.includes(group.name)) {
+						problems.push(new CollectionError(["DUPLICATE_ENTRY"], "The group \""+group.name+"\" is declared twice."))
+					} else {
+						groupNames.push(group.name)
+					}
+				})
+			}
+		}
+		
+		let columnCount = this.defaultColumnCount
+		if ("columns" in collection) {
+			if (!Array.isArray(collection.columns) || collection.columns.length === 0) {
+				schemaProblem("The collection's columns have to be a non-empty array.")
+				return problems
+			}
+			columnCount = collection.columns.length
+			let columnNames = []
+			collection.columns.forEach((column, index) => {
+				if (column === null || !isText(column.name)) {
+					schemaProblem("Column "+index+" needs a name.")
+				} else if (["label", "lang", "font"].some(attribute => attribute in column && !isText(column[attribute]))) {
+					schemaProblem("Column "+index+": The label, lang and font have to be non-empty text if declared.")
+				} else if (columnNames.includes(column.name)) {
+					problems.push(new CollectionError(["DUPLICATE_ENTRY"], "The column \""+column.name+"\" is declared twice."))
+				} else {
+					columnNames.push(column.name)
+				}
+			})
+		}
+		
+		if (!Array.isArray(collection.sets) || collection.sets.length === 0) {
+			schemaProblem("The collection needs a non-empty array of sets.")
+			return problems
+		}
+		// Per column, which pictogram was first seen in which set.
+		let seen = Array.from({length: columnCount}, () => new Map())
+		collection.sets.forEach((set, setIndex) => {
+			let prefix = "Set "+setIndex+": "
+			let pictograms = (Array.isArray(set) ? set : (set !== null && typeof(set) === "object" ? set.pictograms : null))
+			if (!Array.isArray(pictograms)) {
+				schemaProblem(prefix+"Expected an array of pictograms, or an object with one in \"pictograms\".", setIndex)
+				return
+			}
+			if (pictograms.length !== columnCount) {
+				schemaProblem(prefix+"Expected "+columnCount+" pictograms, but found "+pictograms.length+".", setIndex)
+				return
+			}
+			if (!pictograms.every(isText)) {
+				schemaProblem(prefix+"Every pictogram has to be non-empty text.", setIndex)
+				return
+			}
+			let equivalence = null
+			if (!Array.isArray(set)) {
+				if ("groups" in set && !(Array.isArray(set.groups) && set.groups.every(isText))) {
+					schemaProblem(prefix+"The groups have to be an array of group names.", setIndex)
+				} else {
+					for (let group of (set.groups || []).filter(group => !groupNames.includes(group))) {
+						problems.push(new CollectionError(["UNDECLARED_GROUP"], prefix+"The group \""+group+"\" isn't declared by the collection.", setIndex))
+					}
+				}
+				if ("equivalence" in set && set.equivalence !== null && !isText(set.equivalence)) {
+					schemaProblem(prefix+"The equivalence class has to be non-empty text.", setIndex)
+				}
+				if ("audio" in set && set.audio !== null && !isText(set.audio)) {
+					schemaProblem(prefix+"The audio has to be a path or URL.", setIndex)
+				}
+				equivalence = set.equivalence || null
+			}
+			
+			let duplicates = pictograms.filter((pictogram, index) => pictograms.indexOf(pictogram) !== index)
+			if (duplicates.length > 0) {
+				problems.push(new CollectionError(["DUPLICATE_ENTRY"], prefix+"The pictogram \""+duplicates[0]+"\" appears twice.", setIndex))
+			}
+			pictograms.forEach((pictogram, column) => {
+				let first = seen[column].get(pictogram)
+				if (typeof(first) === "undefined") {
+					seen[column].set(pictogram, {setIndex: setIndex, equivalence: equivalence})
+				} else if (equivalence === null || first.equivalence !== equivalence) {
+					problems.push(new CollectionError(["DUPLICATE_ENTRY"], prefix+"The pictogram \""+pictogram+"\" is already in set "+first.setIndex+".", setIndex))
+				}
+			})
+		})
+		return problems
+	}
+	
+	/**
+	 * Make sure the collection is valid.
+	 * The CollectionError is thrown as is (not embedded), so its tags and set index can be checked by whoever catches it.
+	 * @param {Object} collection - The collection, as parsed from a collection file.
+	 * @throws {CollectionError} For the first problem found, if any.
+	 */
+	validate(collection) {
+		let problems = this.check(collection)
+		if (problems.length > 0) {
+			throw problems[0]
+		}
+	}
+	
+	/**
+	 * Load a collection file and find everything that's wrong with it, e.g. to check a collection
+	 * before adding it to the game.
+	 * @param {string} sourceFilePath - File path to read the collection from.
+	 * @returns {Promise} Resolves to the FileError or CollectionError objects found. Empty if there are none.
+	 */
+	async checkFile(sourceFilePath) {
+		let file = new File(sourceFilePath, "HTTP")
+		try {
+			await file.open()
+			let format = PictogramSets.detectFileFormat(sourceFilePath, file.getContent())
+			return this.check(format.parseCollection(file.getContent(), sourceFilePath))
+		} catch (error) {
+			if (!(error instanceof FileError)) {throw error}
+			return [error]
+		}
 	}
 }
 
@@ -461,24 +1759,27 @@ class TileTheme extends Theme {
 	
 	/**
 	 * Create a TileTheme object.
+	 * The faces are rendered by functions taking a skin object (see DOM_TILE_FACE) and returning a DOM element with the
+	 * class "tileFace" and one of "tileUpFace", "tileDownFace" or "tileMatchedFace". They're handed pictograms straight
+	 * from the collections, so they must only ever put them in as text (e.g. with textContent).
 	 * @param {string} upImg - URL to the background image used for up facing tiles.
 	 * @param {string} downImg - URL to the background image used for down facing tiles.
 	 * @param {string} matchedImg - URL to the background image used for matched tiles.
-	 * @param {string} upCode - HTML template literal to be used for up facing tiles.
-	 * @param {string} downCode - HTML template literal to be used for down facing tiles.
-	 * @param {string} matchedCode - HTML template literal to be used for matched tiles.
+	 * @param {function} renderUp - Renders the face of up facing tiles (default: DOM_UP_TILE_FACE).
+	 * @param {function} renderDown - Renders the face of down facing tiles (default: DOM_DOWN_TILE_FACE).
+	 * @param {function} renderMatched - Renders the face of matched tiles (default: DOM_MATCHED_TILE_FACE).
 	 */
-	constructor(upImg, downImg, matchedImg, upCode, downCode, matchedCode) {
+	constructor(upImg, downImg, matchedImg, renderUp=DOM_UP_TILE_FACE, renderDown=DOM_DOWN_TILE_FACE, renderMatched=DOM_MATCHED_TILE_FACE) {
 		super()
 		this.img = {
 			up: upImg,
 			down: downImg,
 			matched: matchedImg
 		}
-		this.code = {
-			up: upCode,
-			down: downCode,
-			matched: matchedCode
+		this.render = {
+			up: renderUp,
+			down: renderDown,
+			matched: renderMatched
 		}
 	}
 }
@@ -565,18 +1866,35 @@ class RenderableHtml {
 	}
 }
 
+/**
+ * Events a tile listens to, to be tapped or clicked.
+ * @const {Array}
+ */
+const TILE_POINTER_EVENTS = ["pointerdown", "pointerup", "pointercancel", "click"]
+
+/**
+ * Milliseconds within which another tap on the same tile is taken for an accidental double tap, and ignored.
+ * @const {number}
+ */
+const TILE_DOUBLE_TAP_INTERVAL = 300
+
 /**
  * A grid tile. Knows its pictogram and state (e.g. face up or down).
  * @augments RenderableHtml - "id" property is inherited, but altered using the TILE_HANDLE template.
  * 
  * Parameters added as properties:
- * @property {string} tileId - ID of the tile (position in the grid)
+ * @property {string} tileId - ID of the tile, unique on the page (the grid's ID and the position in it).
  * @property {string} pictogram - My pictogram.
  * @property {PictogramSet} pictogramSet - The PictogramSet object my pictogram belongs to.
  * @property {Theme} theme - Theme object that determines my appearance.
  * 
  * Original properties:
- * @property {Object} onClickHandlers - The "click" event handlers I need to function.
+ * @property {Object} onClickHandlers - The handlers of taps and clicks I need to function, by state.
+ * @property {Event} pointerDown - The "pointerdown" event of the pointer pressed on me, null if none is.
+ * @property {number} lastTap - Time stamp of the last tap on me acted upon, null if there was none.
+ * @property {boolean} isTabStop - Whether I'm the tile of the grid the keyboard focus goes to when tabbing into it.
+ * @property {boolean} isMismatched - Whether I'm up, but shown not to match the other tiles up.
+ * @property {Promise} animation - Resolves once the transition to my current state has played.
  * @property {number} MATCHED - Used to set and compare state as to whether we're in matched state.
  * @property {number} UP - Used to set and compare as to whether we're in UP state.
  * @property {DOWN} DOWN - Used to set and compare as to whether we're in DOWN state.
@@ -586,7 +1904,7 @@ class Tile extends RenderableHtml{
 	
 	/**
 	 * A memo tile to click on, and its various states.
-	 * @param {string} tileId - ID of the tile (position in the grid)
+	 * @param {string} tileId - ID of the tile, unique on the page (the grid's ID and the position in it).
 	 * @param {string} pictogram - My pictogram.
 	 * @param {PictogramSet} pictogramSet - The PictogramSet object my pictogram belongs to.
 	 * @param {Theme} Theme object that determines my appearance.
@@ -599,6 +1917,11 @@ class Tile extends RenderableHtml{
 		this.pictogramSet = pictogramSet
 		this.theme = theme
 		this.onClickHandlers = {}
+		this.pointerDown = null
+		this.lastTap = null
+		this.isTabStop = false
+		this.isMismatched = false
+		this.animation = Promise.resolve()
 		
 		/* State pseudo "constants". */
 		this.MATCHED = 0 // Tile's been matched.
@@ -610,64 +1933,189 @@ class Tile extends RenderableHtml{
 	}
 	
 	/**
-	 * The markup for our current state (either matched, up or down).
+	 * Build the tile element with all of its faces, showing the one of our current state (either matched, up or down).
+	 * @returns {Object} DOM element.
+	 */
+	createTileElement() {
+		return DOM_TILE(this.id, {classes: this.classes, ...this.accessibilityHints}, [this.createDownFace(), this.createVisibleUpFace(), this.createMatchedFace()])
+	}
+	
+	/**
+	 * CSS classes of the tile element, reflecting our current state.
+	 * @example "tile tileUp tileMismatched"
 	 * @returns {string}
 	 */
-	get markup() {
+	get classes() {
+		let stateClass = {[this.MATCHED]: "tileMatched", [this.UP]: "tileUp", [this.DOWN]: "tileDown"}[this.state]
+		return "tile "+stateClass+(this.isMismatched ? " tileMismatched" : "")
+	}
+	
+	/**
+	 * Render and add this tile to the specified parent DOM element, so it's visible on the screen.
+	 * Once it is, rendering again only brings the element up to date with our state, so it stays the same element,
+	 * transitioning from one state to the other (see DOM_TILE).
+	 * @param {Object} parentElement - Parent DOM element to add the tile DOM hierarchy to display it.
+	 * @returns {Promise} Resolves once the transition to our current state has played.
+	 */
+	render(parentElement) {
+		if (this.elementExists) {
+			this.element.className = this.classes
+			this.element.setAttribute("aria-label", this.label)
+			this.element.tabIndex = (this.isTabStop ? 0 : -1)
+			this.animation = waitForAnimations(this.element)
+		} else {
+			parentElement.appendChild(this.createTileElement())
+			TILE_POINTER_EVENTS.forEach(type => this.element.addEventListener(type, this))
+			this.animation = Promise.resolve()
+		}
+		return this.animation
+	}
+	
+	/**
+	 * Replace our up face, so it shows our pictogram if it's supposed to be visible (see createVisibleUpFace).
+	 */
+	renderUpFace() {
+		this.element.querySelector(".tileUpFace").replaceWith(this.createVisibleUpFace())
+	}
+	
+	/**
+	 * Take taps (a pointer pressed and released on us) and clicks, and pass them on to the handler for our current state.
+	 * Taps are acted upon as the pointer is released, rather than on the click following it, so touch screens don't lag.
+	 * That click is ignored then, as is another tap following too quickly (see TILE_DOUBLE_TAP_INTERVAL).
+	 * Clicks not made with a pointer (e.g. from the keyboard) are always acted upon.
+	 * @param {Event} event - One of the TILE_POINTER_EVENTS.
+	 */
+	handleEvent(event) {
+		let isDoubleTap = (this.lastTap !== null && event.timeStamp - this.lastTap < TILE_DOUBLE_TAP_INTERVAL)
+		switch (event.type) {
+			case "pointerdown":
+				// Only the primary button of the primary pointer taps, so a second finger or a right click don't.
+				this.pointerDown = (event.isPrimary === false || event.button !== 0 ? null : event)
+				break
+			case "pointercancel":
+				this.pointerDown = null
+				break
+			case "pointerup":
+				if (this.pointerDown === null || this.pointerDown.pointerId !== event.pointerId) {return}
+				this.pointerDown = null
+				if (!isDoubleTap) {
+					this.lastTap = event.timeStamp
+					this.activate(event)
+				}
+				break
+			case "click":
+				if (event.detail > 0 && isDoubleTap) {return} // Made with a pointer, so the tap was acted upon.
+				this.activate(event)
+				break
+		}
+	}
+	
+	/**
+	 * Pass a tap or click on to the handler for our current state.
+	 * @param {Event} event - The "pointerup" or "click" event.
+	 */
+	activate(event) {
+		let handler = this.onClickHandlers[this.state]
+		if (handler) {
+			handler.handleEvent(event)
+		}
+	}
+	
+	/**
+	 * Give this tile the keyboard focus.
+	 */
+	focus() {
+		this.element.focus()
+	}
+	
+	/**
+	 * Make this tile the one the keyboard focus goes to when tabbing into the grid, or not.
+	 * @param {boolean} isTabStop
+	 */
+	setTabStop(isTabStop) {
+		this.isTabStop = isTabStop
+		if (this.elementExists) {
+			this.element.tabIndex = (isTabStop ? 0 : -1)
+		}
+	}
+	
+	/**
+	 * What this tile shows, in words, for screen readers.
+	 * @example "か (Hiragana), face up"
+	 * @returns {string}
+	 */
+	get label() {
+		let column = this.pictogramSet.getColumnDeclaration(this.pictogram)
+		let pictogram = this.pictogram+(column ? " ("+column.label+")" : "")
 		switch (this.state) {
 			case this.MATCHED:
-				return this.matchedMarkup
+				return pictogram+", matched"
 			case this.UP:
-				return this.upMarkup
+				return pictogram+", face up"
 			case this.DOWN:
-				return this.downMarkup
+				return "Face down"
 		}
 	}
 	
 	/**
-	 * Render and add this tile to the specified parent DOM element, so it's visible on the screen.
-	 * @param {Object} parentElement - Parent DOM element to add the tile DOM hierarchy to display it.
+	 * The attributes of the skin that make for an accessible tile: its label and tab index.
+	 * @returns {Object}
 	 */
-	render(parentElement) {
-		RenderableHtml.prototype.render.call(this, parentElement, this.markup)
-		this.setOnClickHandler()
+	get accessibilityHints() {
+		return {label: this.label, tabIndex: (this.isTabStop ? 0 : -1)}
 	}
 	
 	/**
-	 * Markup for our matched state.
-	 * @returns {string}
+	 * Language and font of our pictogram, as declared for its column.
+	 * @returns {Object} Object with the attributes "lang" and "font", null where not declared.
 	 */
-	get matchedMarkup() {
-		return this.theme.code.matched(this.id, {background: this.theme.img.matched, character: " "})
+	get characterHints() {
+		let column = this.pictogramSet.getColumnDeclaration(this.pictogram)
+		return {lang: (column ? column.lang : null), font: (column ? column.font : null)}
 	}
 	
 	/**
-	 * Markup for our up state.
-	 * @returns {string}
+	 * Render our matched face.
+	 * @returns {Object} DOM element.
 	 */
-	get upMarkup() {
-		return this.theme.code.up(this.id, {background: this.theme.img.up, character: this.pictogram})
+	createMatchedFace() {
+		return this.theme.render.matched({background: this.theme.img.matched, character: " "})
 	}
 	
 	/**
-	 * Markup for our down state.
-	 * @returns {string}
+	 * Render our up face, showing our pictogram.
+	 * @returns {Object} DOM element.
+	 */
+	createUpFace() {
+		return this.theme.render.up({background: this.theme.img.up, character: this.pictogram, ...this.characterHints})
+	}
+	
+	/**
+	 * Render our up face, showing our pictogram only if we're not down, so it can't be peeked at in the DOM.
+	 * @returns {Object} DOM element.
+	 */
+	createVisibleUpFace() {
+		return (this.isDown() ? this.theme.render.up({background: this.theme.img.up, character: " "}) : this.createUpFace())
+	}
+	
+	/**
+	 * Render our down face.
+	 * Will be showing our pictogram no matter what if in DEBUG mode.
+	 * @returns {Object} DOM element.
 	 */
-	get downMarkup() {
+	createDownFace() {
 		if (DEBUG) {
-			return this.theme.code.down(this.id, {background: this.theme.img.down, character: this.pictogram})
+			return this.theme.render.down({background: this.theme.img.down, character: this.pictogram, ...this.characterHints})
 		} else {
-			return this.theme.code.down(this.id, {background: this.theme.img.down, character: " "})
+			return this.theme.render.down({background: this.theme.img.down, character: " "})
 		}
 	}
 	
 	/**
-	 * Add the appropriate onClick event handler to the element depending
-	 * on our current state.
-	 * This is only to be called after the interface has been rendered.
-	 * @param {funtion} onClickMatched - Called when clicked in matched state.
-	 * @param {function} onClickUp - Called when clicked in up state.
-	 * @param {function} onClickDown - Called when clicked in down state.
+	 * Set the handlers of clicks on our element, depending on our state at the time.
+	 * @param {EventListener} onClickMatched - Called when clicked in matched state.
+	 * @param {EventListener} onClickUp - Called when clicked in up state.
+	 * @param {EventListener} onClickDown - Called when clicked in down state.
 	 */
 	addOnClickHandlers(onClickMatched, onClickUp, onClickDown) {
 		this.onClickHandlers[this.MATCHED] = onClickMatched
@@ -676,26 +2124,50 @@ class Tile extends RenderableHtml{
 	}
 	
 	/**
-	 * Adds all "click" handlers for this tile to the DOM element that represents it.
-	 * This method is useful for re-adding the handlers whenever the DOM element is recreated.
+	 * Transition into the matched state.
+	 * @returns {Promise} Resolves once the transition has played.
 	 */
-	setOnClickHandler() {
-		this.element.addEventListener("click", this.onClickHandlers[this.state])
-	}
-	
 	changeToMatched () {
 		this.state = this.MATCHED
-		this.render()
+		this.isMismatched = false
+		return this.render()
 	}
 	
+	/**
+	 * Flip up, revealing our pictogram.
+	 * @returns {Promise} Resolves once the flip has played.
+	 */
 	changeToUp() {
 		this.state = this.UP
-		this.render()
+		if (this.elementExists) {
+			this.renderUpFace()
+		}
+		return this.render()
 	}
 	
+	/**
+	 * Flip down, hiding our pictogram again once the flip has played.
+	 * @returns {Promise} Resolves once the flip has played.
+	 */
 	changeToDown() {
 		this.state = this.DOWN
-		this.render()
+		this.isMismatched = false
+		let animation = this.render()
+		animation.then(() => {
+			if (this.isDown() && this.elementExists) {
+				this.renderUpFace()
+			}
+		})
+		return animation
+	}
+	
+	/**
+	 * Show that we're up, but don't match the other tiles up.
+	 * @returns {Promise} Resolves once the transition has played.
+	 */
+	showMismatch() {
+		this.isMismatched = true
+		return this.render()
 	}
 	
 	/**
@@ -714,13 +2186,91 @@ class Tile extends RenderableHtml{
 }
 
 /**
- * Grid theme.
- * @property {TileTheme} tileTheme - TileTheme object used for tile themeing.
- * @todo Grid theming isn't really implemented yet.
+ * Decides whether tiles form a match.
+ * @interface
  */
-class GridTheme {
+class MatchingStrategy {
 	
-	/** Create a GridTheme object.
+	/**
+	 * Do the specified tiles form a match?
+	 * @abstract
+	 * @param {Array} tiles - Tile objects to check.
+	 * @returns {boolean}
+	 */
+	areMatching(tiles) { return false }
+}
+
+/**
+ * Tiles match if their pictograms are from the very same PictogramSet.
+ * @implements {MatchingStrategy}
+ */
+class IdentityMatchingStrategy extends MatchingStrategy {
+	areMatching(tiles) {
+		return tiles.every(tile => tile.isInSameSetAs(tiles[0]))
+	}
+}
+
+/**
+ * Tiles match if their PictogramSets have the same pictogram in the key column.
+ * @example With "romaji" as the key column, じ and ヂ match, since both sets have "ji" for romaji.
+ * @implements {MatchingStrategy}
+ * @property {string} column - Name of the key column, or null for the first column of the collection.
+ */
+class SharedKeyMatchingStrategy extends MatchingStrategy {
+	
+	/**
+	 * Create a SharedKeyMatchingStrategy object.
+	 * @param {string} column - Name of the key column (default: null, the first column, e.g. romaji in kana collections).
+	 */
+	constructor(column=null) {
+		super()
+		this.column = column
+	}
+	
+	/**
+	 * Get the key of a tile's PictogramSet.
+	 * @param {Tile} tile
+	 * @returns {string}
+	 */
+	getKey(tile) {
+		return (this.column === null ? tile.pictogramSet[0] : tile.pictogramSet.getPictogram(this.column))
+	}
+	
+	areMatching(tiles) {
+		let key = this.getKey(tiles[0])
+		return tiles.every(tile => this.getKey(tile) === key)
+	}
+}
+
+/**
+ * Tiles match if their PictogramSets are the same, or share the equivalence class declared for them in the collection file.
+ * @example With じ and ぢ both declared "ji", じ and ヂ match, while じ and ズ don't.
+ * @implements {MatchingStrategy}
+ */
+class EquivalenceClassMatchingStrategy extends MatchingStrategy {
+	areMatching(tiles) {
+		return tiles.every(tile => tile.pictogramSet.isEquivalentTo(tiles[0].pictogramSet))
+	}
+}
+
+/**
+ * Matching strategies, by name.
+ * @const {Object}
+ */
+const MATCHING_STRATEGIES = {
+	identity: {label: "Same set", create: () => new IdentityMatchingStrategy()},
+	key: {label: "Same reading", create: () => new SharedKeyMatchingStrategy()},
+	equivalence: {label: "Same set or equivalent", create: () => new EquivalenceClassMatchingStrategy()}
+}
+
+/**
+ * Grid theme.
+ * @property {TileTheme} tileTheme - TileTheme object used for tile themeing.
+ * @todo Grid theming isn't really implemented yet.
+ */
+class GridTheme {
+	
+	/** Create a GridTheme object.
 	 * @param {TileTheme} TileTheme object to be used for grid tiles.
 	 */
 	constructor(tileTheme) {
@@ -735,6 +2285,8 @@ class GridTheme {
  * @property {number} rowCount - Number of rows.
  * @property {number} columnCount - Number of columns.
  * @property {GridTheme} theme - GridTheme object to determine the grid's appearance.
+ * @property {number} tilesPerMatch - How many tiles of the same pictogram set are put on the grid.
+ * @property {Random} random - Source of random numbers for populating the grid.
  * 
  * Original properties: 
  * @property {Array} tiles - Tile objects representing the grid's tiles.
@@ -745,22 +2297,46 @@ class Grid extends RenderableHtml {
 	 * @param {number} rowCount - Number of rows.
 	 * @param {number} columnCount - Number of columns.
 	 * @param {GridTheme} theme - GridTheme object to determine the grid's appearance.
+	 * @param {number} tilesPerMatch - How many tiles of the same pictogram set are put on the grid (default: 2).
+	 * @param {Random} random - Source of random numbers for populating the grid (default: Math.random based).
 	 * @todo Add actual visuals (such as a background) to the grid that can be themed.
 	 */
-	constructor(rowCount, columnCount, theme) {
-		super("grid") //NOTE: Candidate for change once grid template is implemented.
+	constructor(rowCount, columnCount, theme, tilesPerMatch=2, random=new Random()) {
+		Grid.instanceCount = (Grid.instanceCount || 0) + 1
+		super(GRID_HANDLE(Grid.instanceCount)) // Unique, so grids don't get in each other's way on the same page.
 		this.rowCount = rowCount
 		this.columnCount = columnCount
 		this.theme = theme
+		this.tilesPerMatch = tilesPerMatch
+		this.random = random
 		this.tiles = new Array(rowCount*columnCount)
 	}
 	
 	/**
 	 * Populate the grid with tiles based on pictogram sets specified.
 	 * @param {PictogramSets} A PictogramSets object with pictograms to choose from to populate the grid with tiles for.
+	 * @param {Array} columns - Names of the pictogram set columns tiles may show. Null for all of them (default).
+	 * @param {PopulationStrategy} strategy - Decides which pictogram sets are picked first (default: RandomPopulationStrategy).
+	 */
+	populate(pictogramSets, columns=null, strategy=new RandomPopulationStrategy()) {
+		this.populateRandomGroups(pictogramSets, this.tilesPerMatch, columns, strategy)
+	}
+	
+	/**
+	 * Have all the tiles in the grid been matched?
+	 * @returns {boolean}
+	 */
+	get isComplete() {
+		return this.tiles.every(tile => tile.isMatched())
+	}
+	
+	/**
+	 * Change our appearance, and that of our tiles, the next time we're rendered.
+	 * @param {GridTheme} theme - The new theme.
 	 */
-	populate(pictogramSets) {
-		this.populateRandomPairs(pictogramSets)
+	setTheme(theme) {
+		this.theme = theme
+		this.tiles.forEach(tile => tile.theme = theme.tileTheme)
 	}
 	
 	/**
@@ -768,171 +2344,3134 @@ class Grid extends RenderableHtml {
 	 * Every pictogram gets its own Tile object, which is added to the tiles property.
 	 * @example -  From {[a,b,c], [d,e,f]}, it could pick [a,c] and [f,e]. It'd add 4 Tile objects, one for each.
 	 * It does this until the grid is full.
-	 * @warning PictogramSets needs to have enough pictograms to fill the grid.
-	 * @todo Handle PictogramSets not having enough pictograms to fill the grid.
+	 * @example - With the columns [romaji, hiragana], it'd only ever pick romaji and hiragana, never katakana.
+	 * @param {PictogramSets} pictogramSets - Pictogram sets to pick from.
+	 * @param {Array} columns - Names of the columns to pick from. Null for all of them (default).
+	 * @throws {GameOptionsError} NOT_ENOUGH_SETS if the pictogram sets can't fill the grid.
+	 */
+	populateRandomPairs(pictogramSets, columns=null) {
+		this.populateRandomGroups(pictogramSets, 2, columns)
+	}
+	
+	/**
+	 * Like populateRandomPairs, but picks the specified number of pictograms from each pictogram set.
+	 * Pictograms already on the grid aren't picked again, so tiles from different sets never look the same.
+	 * A set that can't provide enough other pictograms is skipped, and the next one drawn instead.
+	 * @example - From {[a,b,c], [d,e,f]} with a group size of 3, it'd add all 6 pictograms as Tile objects.
+	 * @param {PictogramSets} pictogramSets - Pictogram sets to pick from.
+	 * @param {number} groupSize - How many pictograms to pick from each pictogram set.
+	 * @param {Array} columns - Names of the columns to pick from. Null for all of them (default).
+	 * @param {PopulationStrategy} strategy - Decides which pictogram sets are picked first (default: RandomPopulationStrategy).
+	 * @throws {GameOptionsError} NOT_ENOUGH_SETS if the pictogram sets run out before the grid is full
+	 *  (see countPlaceableSets to make sure they won't).
+	 * @warning The grid size needs to be divisible by the group size.
 	 */
-	populateRandomPairs(pictogramSets) {
-		let tileIndexesAvailable = new KanamemoArray(this.tiles.length).initWithIndices().shuffle()
-		for (let pictogramSet of pictogramSets.shuffle()) {
+	populateRandomGroups(pictogramSets, groupSize, columns=null, strategy=new RandomPopulationStrategy()) {
+		let tileIndexesAvailable = new KanamemoArray(this.tiles.length).initWithIndices().shuffle(this.random)
+		let pictogramsPlaced = []
+		for (let pictogramSet of strategy.order(pictogramSets, this.random)) {
 			if (!tileIndexesAvailable.length > 0) {break}
-			let pictogramAIndex = tileIndexesAvailable.pop()
-			let pictogramBIndex = tileIndexesAvailable.pop()
-			let pair = pictogramSet.getRandomPair() // Example: Get random two from [romaji, hiragana, katakana].
-			this.tiles[pictogramAIndex] = new Tile(pictogramAIndex, pair[0], pictogramSet, this.theme.tileTheme)
-			this.tiles[pictogramBIndex] = new Tile(pictogramBIndex, pair[1], pictogramSet,this.theme.tileTheme)
+			let group = pictogramSet.getRandomGroup(groupSize, columns, pictogramsPlaced, this.random) // Example: Get random two from [romaji, hiragana, katakana].
+			if (group === null) {continue}
+			pictogramsPlaced.push(...group)
+			for (let pictogram of group) {
+				let tileIndex = tileIndexesAvailable.pop()
+				this.tiles[tileIndex] = new Tile(this.id+"_"+tileIndex, pictogram, pictogramSet, this.theme.tileTheme)
+			}
+		}
+		if (tileIndexesAvailable.length > 0) {
+			throw new GameOptionsError(["NOT_ENOUGH_SETS"], "The pictogram sets ran out with "+tileIndexesAvailable.length+" of "+this.tiles.length+" tiles left to fill.")
+		}
+	}
+	
+	/**
+	 * Count the pictogram sets sure to make it onto a grid populated by populateRandomGroups, whatever order they're drawn in.
+	 * Sets sharing pictograms (e.g. the "ji" of じ and ぢ) may lose them to whichever of them is drawn first.
+	 * So of every bunch of sets linked by shared pictograms, only those with enough pictograms of their own count,
+	 * or if there are none, the one drawn first.
+	 * @example - From {[ji,じ], [ji,ぢ], [a,あ]} with a group size of 2, one of the "ji" sets and [a,あ] are sure to make it.
+	 * @param {PictogramSets} pictogramSets - Pictogram sets to pick from.
+	 * @param {number} groupSize - How many pictograms are picked from each pictogram set.
+	 * @param {Array} columns - Names of the columns to pick from. Null for all of them (default).
+	 * @returns {number}
+	 */
+	static countPlaceableSets(pictogramSets, groupSize, columns=null) {
+		let getPictograms = pictogramSet => (columns === null ? [...pictogramSet] : columns.map(column => pictogramSet.getPictogram(column)))
+		let setsByPictogram = new Map()
+		for (let pictogramSet of pictogramSets) {
+			for (let pictogram of new Set(getPictograms(pictogramSet))) {
+				setsByPictogram.set(pictogram, [...(setsByPictogram.get(pictogram) || []), pictogramSet])
+			}
 		}
+		let hasEnoughOfItsOwn = pictogramSet => getPictograms(pictogramSet).filter(pictogram => setsByPictogram.get(pictogram).length === 1).length >= groupSize
+		let count = 0
+		let counted = new Set()
+		for (let pictogramSet of pictogramSets) {
+			if (counted.has(pictogramSet)) {continue}
+			// Gather the bunch of sets linked to this one.
+			let bunch = [pictogramSet]
+			counted.add(pictogramSet)
+			for (let i = 0; i < bunch.length; i++) {
+				for (let pictogram of getPictograms(bunch[i])) {
+					for (let linkedSet of setsByPictogram.get(pictogram).filter(linkedSet => !counted.has(linkedSet))) {
+						counted.add(linkedSet)
+						bunch.push(linkedSet)
+					}
+				}
+			}
+			count += Math.max(bunch.filter(hasEnoughOfItsOwn).length, 1)
+		}
+		return count
 	}
 	
 	/**
 	 * The grid's Tile objects sorted into rows.
-	 * @todo Not implemented.
+	 * @returns {Array} One array of Tile objects per row, top to bottom.
+	 */
+	get rows() {
+		let rows = []
+		for (let row = 0; row < this.rowCount; row++) {
+			rows.push(this.tiles.slice(row*this.columnCount, (row + 1)*this.columnCount))
+		}
+		return rows
+	}
+	
+	/**
+	 * Get the rendered markup/code for the grid, without its tiles.
+	 * @returns {string}
 	 */
-	get rows() {}
+	get markup() {
+		return HTML_GRID_MARKUP(this.id, this.rowCount, this.columnCount)
+	}
+	
+	/**
+	 * Get the index of the tile next to the specified one, in the specified direction.
+	 * Stops at the edges of the grid.
+	 * @example In a 2x3 grid, the tile below tile 1 is tile 4, and the tile left of tile 3 is tile 3 itself.
+	 * @param {number} index - Index of the tile to start from.
+	 * @param {number} rowOffset - How many rows to go down (negative: up).
+	 * @param {number} columnOffset - How many columns to go right (negative: left).
+	 * @returns {number} Index of the tile.
+	 */
+	getAdjacentTileIndex(index, rowOffset, columnOffset) {
+		let clamp = (value, count) => Math.min(Math.max(value, 0), count - 1)
+		let row = clamp(Math.floor(index/this.columnCount) + rowOffset, this.rowCount)
+		let column = clamp(index % this.columnCount + columnOffset, this.columnCount)
+		return row*this.columnCount + column
+	}
 	
 	/**
-	 * Get the rendered markup/code for the grid.
-	 * @todo Not implemented.
+	 * Give the specified tile the keyboard focus, and make it the one focus goes to when tabbing into the grid.
+	 * @param {number} index - Index of the tile.
 	 */
-	get markup() {}
+	focusTile(index) {
+		this.tiles.forEach((tile, tileIndex) => tile.setTabStop(tileIndex === index))
+		this.tiles[index].focus()
+	}
 	
 	/**
 	 * Render the grid into the specified DOM element.
+	 * The first tile is the one focus goes to when tabbing into the grid.
 	 * @param {Object} element - DOM element to render into.
 	 */
 	render(element) {
-		let rowElementsAdded = 0
-		for (let tile of this.tiles) {
-			tile.render(element) //NOTE: Will become this.element once grid has its own HTML.
-			rowElementsAdded += 1
-			if (rowElementsAdded === this.columnCount) {
-				element.appendChild(document.createRange().createContextualFragment("<br/>"))
-				rowElementsAdded = 0
+		RenderableHtml.prototype.render.call(this, element, this.markup)
+		let rowElements = this.element.querySelectorAll(".gridRow")
+		this.rows.forEach((row, rowIndex) => {
+			for (let tile of row) {
+				tile.setTabStop(tile === this.tiles[0])
+				tile.render(rowElements[rowIndex])
 			}
-		}
+		})
 	}
 }
 
 /**
- * A KanamemoArray with the capability to initialize itself with KanaSet objects initialized with data from a file.
+ * A KanamemoArray with the capability to initialize itself with PictogramSet objects initialized with data from a file.
+ * Use PictogramSets.load to get one for a collection file.
+ * 
+ * In the file, each entry of "sets" is either an array of pictograms, or an object with the
+ * pictograms in "pictograms", the names of the groups it's tagged with in "groups" and,
+ * optionally, the name of its equivalence class in "equivalence" and the path of a recording of its
+ * reading in "audio" (relative to the collection file).
+ * The groups themselves are declared in "groups", as objects with a "name" and a "label".
+ * The columns are declared in "columns", as objects with a "name" and optionally a "label", a "lang"
+ * (BCP 47 language tag) and a "font" (CSS font family). Collections that don't declare any are
+ * kana collections, with the KANA_COLUMN_DECLARATIONS, and get KanaSet objects.
+ * @property {string} name - The collection's name.
+ * @property {string} description - The collection's description.
+ * @property {Array} groups - The groups declared by the collection, as objects with the attributes "name" and "label".
+ * @property {Array} columns - PictogramColumn objects for the columns of the collection.
  */
 class PictogramSets extends KanamemoArray {
 	
 	/**
-	 * @param {string} sourceFilePath - File path to read set data from.
+	 * Create an empty PictogramSets object.
 	 */
-	constructor(sourceFilePath) {
+	constructor() {
 		super()
-		this.getFromFile(sourceFilePath).sets.forEach(set => {
-			this.push(new KanaSet(...set))
+		this.name = ""
+		this.description = ""
+		this.groups = []
+		this.columns = KANA_COLUMN_DECLARATIONS
+	}
+	
+	/**
+	 * Create a PictogramSets object from the content of a collection file.
+	 * @param {Object} collection - The collection, as parsed from the file.
+	 * @param {string} path - Path of the file, to resolve the sets' audio paths against (default: "", the page).
+	 * @returns {PictogramSets}
+	 * @throws {CollectionError} If the collection isn't valid (see CollectionValidator).
+	 */
+	static fromCollection(collection, path="") {
+		new CollectionValidator().validate(collection)
+		let pictogramSets = new PictogramSets()
+		pictogramSets.name = collection.name
+		pictogramSets.description = collection.description || ""
+		pictogramSets.groups = collection.groups || []
+		if (collection.columns) {
+			pictogramSets.columns = collection.columns.map(column => new PictogramColumn(column))
+		}
+		collection.sets.forEach(set => {
+			pictogramSets.push(pictogramSets.createSet(set, path))
+		})
+		return pictogramSets
+	}
+	
+	/**
+	 * Combine several collections into one, e.g. to play with all of them in the same round.
+	 * Sets keep their own columns, so the combination has the columns of all collections; groups of the same
+	 * name are merged. A set all of whose pictograms are in another set (e.g. ["ka", "か"] and ["ka", "か", "カ"])
+	 * is left out in favour of the other.
+	 * @param {Array} collections - The PictogramSets objects to combine.
+	 * @returns {PictogramSets}
+	 * @throws {CollectionError} NO_COLLECTION if there's nothing to combine.
+	 */
+	static combine(collections) {
+		if (collections.length === 0) {
+			throw new CollectionError(["NO_COLLECTION"], "Select at least one collection to play with.")
+		}
+		let combined = new PictogramSets()
+		combined.name = collections.map(collection => collection.name).join(" + ")
+		combined.description = collections.map(collection => collection.description).join(" ")
+		combined.groups = []
+		combined.columns = []
+		for (let collection of collections) {
+			combined.groups.push(...collection.groups.filter(group => !combined.hasGroup(group.name)))
+			combined.columns.push(...collection.columns.filter(column => !combined.hasColumn(column.name)))
+		}
+		if (collections.every(collection => collection.columns === KANA_COLUMN_DECLARATIONS)) {
+			combined.columns = KANA_COLUMN_DECLARATIONS
+		}
+		
+		let sets = collections.flatMap(collection => [...collection])
+		let isSubsumedBy = (set, other) => set.columns.every(column => other.getPictogram(column) === set.getPictogram(column))
+		sets.forEach((set, index) => {
+			let isRedundant = sets.some((other, otherIndex) => {
+				// Of two sets subsuming each other (i.e. equal ones), the first one is kept.
+				return otherIndex !== index && isSubsumedBy(set, other) && !(otherIndex > index && isSubsumedBy(other, set))
+			})
+			if (!isRedundant) {
+				combined.push(set)
+			}
 		})
+		return combined
 	}
 	
 	/**
-	 * Read JSON from the specified file path.
+	 * Load a collection file into a new PictogramSets object.
 	 * @param {string} sourceFilePath - File path to read set data from.
-	 * @returns JSON in object form as it was read from the file.
+	 * @returns {Promise} Resolves to the PictogramSets object.
+	 * @throws {FileError} If the file can't be loaded or read.
+	 * @throws {CollectionError} If the collection in the file isn't valid.
+	 */
+	static async load(sourceFilePath) {
+		let file = new File(sourceFilePath, "HTTP")
+		await file.open()
+		return PictogramSets.parse(file.getContent(), sourceFilePath)
+	}
+	
+	/**
+	 * Create a PictogramSets object from the content of a collection file in any of the supported formats.
+	 * @param {string} content - File content.
+	 * @param {string} path - File path, to tell the format by and for error messages.
+	 * @returns {PictogramSets}
+	 * @throws {FileError} If the content isn't valid in the detected format.
+	 * @throws {CollectionError} If the collection isn't valid.
+	 */
+	static parse(content, path="") {
+		let format = PictogramSets.detectFileFormat(path, content)
+		return PictogramSets.fromCollection(format.parseCollection(content, path), path)
+	}
+	
+	/**
+	 * Tell the format of a collection file, by its extension or, failing that, by its content.
+	 * @param {string} path - File path.
+	 * @param {string} content - File content.
+	 * @returns {function} The File subclass to read the file with: JsonFile or TextCollectionFile.
+	 */
+	static detectFileFormat(path, content) {
+		let extension = path.split(/[?#]/)[0].split(".").pop().toLowerCase()
+		if (extension === "json") {
+			return JsonFile
+		}
+		if (extension === "txt" || extension === "tsv") {
+			return TextCollectionFile
+		}
+		return (content.trimStart().startsWith("{") ? JsonFile : TextCollectionFile)
+	}
+	
+	/**
+	 * Create a PictogramSet object from an entry of "sets" in a collection file, with our columns.
+	 * @param {Array|Object} set - Either an array of pictograms, or an object with the attributes "pictograms", "groups", "equivalence" and "audio".
+	 * @param {string} path - Path of the collection file, to resolve the audio path against (default: "", the page).
+	 * @returns {PictogramSet} A KanaSet if we have the KANA_COLUMN_DECLARATIONS.
 	 */
-	getFromFile(sourceFilePath) {
-		//console.log(new JsonFile(sourceFilePath, "HTTP").getJson())
-		return new JsonFile(sourceFilePath, "HTTP").getJson()
+	createSet(set, path="") {
+		let pictograms = (Array.isArray(set) ? set : set.pictograms)
+		let groups = (Array.isArray(set) ? [] : set.groups || [])
+		let equivalence = (Array.isArray(set) ? null : set.equivalence || null)
+		let audio = (Array.isArray(set) || !set.audio ? null : resolveRelativePath(set.audio, path))
+		if (this.columns === KANA_COLUMN_DECLARATIONS) {
+			return new KanaSet(...pictograms, groups, equivalence, audio)
+		}
+		return new PictogramSet(pictograms, this.columns, groups, equivalence, audio)
+	}
+	
+	/**
+	 * Do we have a column by the specified name?
+	 * @param {string} column - Column name (e.g. "hiragana").
+	 * @returns {boolean}
+	 */
+	hasColumn(column) {
+		return this.columns.some(declaredColumn => declaredColumn.name === column)
+	}
+	
+	/**
+	 * Do we declare a group by the specified name?
+	 * @param {string} group - Group name (e.g. "k-row").
+	 * @returns {boolean}
+	 */
+	hasGroup(group) {
+		return this.groups.some(declaredGroup => declaredGroup.name === group)
+	}
+	
+	/**
+	 * Get the pictogram sets whose groups are all among the specified ones.
+	 * @example With ["k-row", "dakuten"], it'd include "ka" and "ga", but neither "a" nor "kya" (tagged "yoon").
+	 * @param {Array} groups - Names of the groups to allow.
+	 * @returns {PictogramSets} New PictogramSets object with the same group declarations, but only the sets allowed.
+	 */
+	filterByGroups(groups) {
+		let filtered = new PictogramSets()
+		filtered.name = this.name
+		filtered.description = this.description
+		filtered.groups = this.groups
+		filtered.columns = this.columns
+		this.forEach(set => {
+			if (set.groups.every(group => groups.includes(group))) {
+				filtered.push(set)
+			}
+		})
+		return filtered
 	}
 }
 
 /**
- * A collection of all themeing items required to theme the game.
- * Is currently only concerned with GridTheme, which, in turn, is currently only concerned with TileTheme based tile themeing.
- * @property {GridTheme} gridTheme
+ * The collections listed by a collection index, a JSON file like pictogramcollections/index.json:
+ * 
+ *     {"collections": [{"path": "romajihiraganakatakana.json", "default": true}, {"path": "hiraganabasics.json"}]}
+ * 
+ * Paths are relative to the index. The collections marked "default" are played with until others
+ * are picked (the first one, if none are marked).
+ * @property {Array} entries - Objects with the attributes "path", "isDefault", "sets" (PictogramSets, null if the collection couldn't be loaded) and "problem" (why it couldn't, or null).
  */
-class GameTheme {
+class CollectionLibrary {
+	
+	/**
+	 * Create a CollectionLibrary object.
+	 * @param {Array} entries - Objects with the attributes "path", "isDefault", "sets" and "problem" (default: none).
+	 */
+	constructor(entries=[]) {
+		this.entries = entries
+	}
+	
+	/**
+	 * Load a collection index and every collection it lists. A collection that can't be loaded
+	 * doesn't keep the others from being played with; its entry just says what went wrong.
+	 * @param {string} indexPath - File path of the collection index.
+	 * @param {UserCollectionStore} userCollections - Collections the player added themselves, to add to those of the index (default: null, none).
+	 * @returns {Promise} Resolves to the CollectionLibrary object.
+	 * @throws {FileError} If the index can't be loaded or isn't valid JSON.
+	 * @throws {CollectionError} INVALID_SCHEMA if the index doesn't list any collections.
+	 */
+	static async load(indexPath, userCollections=null) {
+		let file = new JsonFile(indexPath, "HTTP")
+		await file.open()
+		let index = file.getJson()
+		if (!Array.isArray(index.collections) || !index.collections.every(entry => entry !== null && typeof(entry.path) === "string")) {
+			throw new CollectionError(["INVALID_SCHEMA"], "The collection index "+indexPath+" needs an array of collections with a path each.")
+		}
+		let entries = await Promise.all(index.collections.map(async entry => {
+			let path = resolveRelativePath(entry.path, indexPath)
+			let libraryEntry = {path: path, isDefault: entry.default === true, sets: null, problem: null}
+			try {
+				libraryEntry.sets = await PictogramSets.load(path)
+			} catch (error) {
+				if (!(error instanceof FileError || error instanceof CollectionError)) {throw error}
+				error.embed()
+				libraryEntry.problem = error.message
+			}
+			return libraryEntry
+		}))
+		if (userCollections !== null) {
+			entries.push(...userCollections.getEntries())
+		}
+		return new CollectionLibrary(entries)
+	}
+	
+	/**
+	 * Add an entry, replacing any with the same path.
+	 * @param {Object} entry - Object with the attributes "path", "isDefault", "sets" and "problem".
+	 */
+	addEntry(entry) {
+		this.removeEntry(entry.path)
+		this.entries.push(entry)
+	}
+	
+	/**
+	 * Remove the entry with the specified path, if there is one.
+	 * @param {string} path
+	 */
+	removeEntry(path) {
+		this.entries = this.entries.filter(entry => entry.path !== path)
+	}
+	
+	/**
+	 * The entries of the collections that could be loaded.
+	 * @returns {Array}
+	 */
+	get availableEntries() {
+		return this.entries.filter(entry => entry.sets !== null)
+	}
+	
+	/**
+	 * Paths of the collections to play with until others are picked.
+	 * @returns {Array} The paths of the available collections marked default, or of the first available one if none are.
+	 */
+	get defaultPaths() {
+		let defaults = this.availableEntries.filter(entry => entry.isDefault)
+		return (defaults.length > 0 ? defaults : this.availableEntries.slice(0, 1)).map(entry => entry.path)
+	}
+	
+	/**
+	 * Combine the specified collections into one (see PictogramSets.combine).
+	 * @param {Array} paths - Paths of the collections, or null for the defaults (default: null).
+	 * @returns {PictogramSets}
+	 * @throws {CollectionError} UNKNOWN_COLLECTION if one of them isn't available, NO_COLLECTION if there are none.
+	 */
+	combine(paths=null) {
+		return PictogramSets.combine((paths === null ? this.defaultPaths : paths).map(path => {
+			let entry = this.availableEntries.find(entry => entry.path === path)
+			if (typeof(entry) === "undefined") {
+				throw new CollectionError(["UNKNOWN_COLLECTION"], "There's no collection "+path+" to play with.")
+			}
+			return entry.sets
+		}))
+	}
+}
+
+/**
+ * A collection being edited: its name, description, columns and sets, along with the operations an editor offers on them.
+ * Sets are kept as rows of pictograms, one per column, with the groups they're tagged with, their equivalence class
+ * and their audio ("" for none), so the collection can be in any state in between, valid or not. See check for what's wrong with it.
+ * Audio paths of a loaded collection are kept as resolved when it was loaded (e.g. "/pictogramcollections/audio/ka.mp3").
+ * @property {string} name - The collection's name.
+ * @property {string} description - The collection's description.
+ * @property {Array} columns - The column declarations, as objects with the attribute "name" and any of "label", "lang" and "font".
+ * @property {Array} groups - The declared groups, as objects with the attributes "name" and "label".
+ * @property {Array} rows - The sets, as objects with the attributes "pictograms", "groups", "equivalence" and "audio".
+ */
+class CollectionEditor {
+	
+	/**
+	 * Create a CollectionEditor object.
+	 * @param {Object} collection - The collection to edit, in the same form as in a JSON collection file (default: a new one, with two columns and one empty set).
+	 */
+	constructor(collection={name: "New collection", description: "", columns: [{name: "front"}, {name: "back"}], sets: [["", ""]]}) {
+		this.name = collection.name || ""
+		this.description = collection.description || ""
+		this.columns = (collection.columns || KANA_COLUMN_DECLARATIONS.map(column => column.toJSON())).map(column => ({...column}))
+		this.groups = (collection.groups || []).map(group => ({...group}))
+		this.rows = collection.sets.map(set => ({
+			pictograms: [...TextCollectionFile.getPictograms(set)],
+			groups: (Array.isArray(set) ? [] : [...(set.groups || [])]),
+			equivalence: (Array.isArray(set) ? "" : set.equivalence || ""),
+			audio: (Array.isArray(set) ? "" : set.audio || "")
+		}))
+	}
+	
+	/**
+	 * Create a CollectionEditor object to edit a loaded collection.
+	 * @param {PictogramSets} pictogramSets - The collection.
+	 * @returns {CollectionEditor}
+	 */
+	static fromPictogramSets(pictogramSets) {
+		return new CollectionEditor({
+			name: pictogramSets.name,
+			description: pictogramSets.description,
+			columns: pictogramSets.columns.map(column => column.toJSON()),
+			groups: pictogramSets.groups,
+			sets: [...pictogramSets].map(set => ({
+				pictograms: pictogramSets.columns.map(column => set.getPictogram(column.name) || ""),
+				groups: set.groups,
+				equivalence: set.equivalence,
+				audio: set.audio
+			}))
+		})
+	}
+	
+	/**
+	 * Insert an empty set.
+	 * @param {number} index - Where to insert it (default: at the end).
+	 */
+	addRow(index=this.rows.length) {
+		this.rows.splice(index, 0, {pictograms: this.columns.map(column => ""), groups: [], equivalence: "", audio: ""})
+	}
+	
+	/**
+	 * Remove a set.
+	 * @param {number} index
+	 */
+	removeRow(index) {
+		this.rows.splice(index, 1)
+	}
+	
+	/**
+	 * Move a set up or down, if there's room.
+	 * @param {number} index
+	 * @param {number} offset - E.g. -1 to move it up by one, 1 to move it down by one.
+	 */
+	moveRow(index, offset) {
+		if (index+offset >= 0 && index+offset < this.rows.length) {
+			this.rows.splice(index+offset, 0, ...this.rows.splice(index, 1))
+		}
+	}
+	
+	/**
+	 * Insert a column, with an empty pictogram in every set.
+	 * @param {number} index - Where to insert it (default: at the end).
+	 */
+	addColumn(index=this.columns.length) {
+		let number = this.columns.length+1
+		while (this.columns.some(column => column.name === "column"+number)) {
+			number += 1
+		}
+		this.columns.splice(index, 0, {name: "column"+number})
+		this.rows.forEach(row => row.pictograms.splice(index, 0, ""))
+	}
+	
+	/**
+	 * Remove a column, along with its pictogram in every set.
+	 * @param {number} index
+	 */
+	removeColumn(index) {
+		this.columns.splice(index, 1)
+		this.rows.forEach(row => row.pictograms.splice(index, 1))
+	}
+	
+	/**
+	 * Move a column left or right, if there's room.
+	 * @param {number} index
+	 * @param {number} offset - E.g. -1 to move it left by one, 1 to move it right by one.
+	 */
+	moveColumn(index, offset) {
+		if (index+offset >= 0 && index+offset < this.columns.length) {
+			this.columns.splice(index+offset, 0, ...this.columns.splice(index, 1))
+			this.rows.forEach(row => row.pictograms.splice(index+offset, 0, ...row.pictograms.splice(index, 1)))
+		}
+	}
+	
+	/**
+	 * Rename a column.
+	 * @param {number} index
+	 * @param {string} name
+	 */
+	setColumnName(index, name) {
+		this.columns[index].name = name
+	}
+	
+	/**
+	 * Change a pictogram.
+	 * @param {number} rowIndex - Index of the set.
+	 * @param {number} columnIndex - Index of the column.
+	 * @param {string} pictogram
+	 */
+	setPictogram(rowIndex, columnIndex, pictogram) {
+		this.rows[rowIndex].pictograms[columnIndex] = pictogram
+	}
+	
+	/**
+	 * Change the groups a set is tagged with.
+	 * @param {number} rowIndex - Index of the set.
+	 * @param {string} groups - Comma-separated group names (e.g. "k-row, dakuten").
+	 */
+	setGroups(rowIndex, groups) {
+		this.rows[rowIndex].groups = groups.split(",").map(group => group.trim()).filter(group => group !== "")
+	}
+	
+	/**
+	 * Change the equivalence class of a set.
+	 * @param {number} rowIndex - Index of the set.
+	 * @param {string} equivalence - Name of the equivalence class, "" for none.
+	 */
+	setEquivalence(rowIndex, equivalence) {
+		this.rows[rowIndex].equivalence = equivalence.trim()
+	}
+	
+	/**
+	 * Change the recording of a set's reading.
+	 * @param {number} rowIndex - Index of the set.
+	 * @param {string} audio - Path or URL of the recording, "" for none.
+	 */
+	setAudio(rowIndex, audio) {
+		this.rows[rowIndex].audio = audio.trim()
+	}
+	
+	/**
+	 * The collection, in the same form as in a JSON collection file.
+	 * Groups sets are tagged with but that aren't declared yet are declared, labelled with their name.
+	 * Kana columns aren't declared, as that's what's assumed without a declaration.
+	 * @returns {Object}
+	 */
+	toCollection() {
+		let collection = {name: this.name, description: this.description}
+		if (JSON.stringify(this.columns) !== JSON.stringify(KANA_COLUMN_DECLARATIONS)) {
+			collection.columns = this.columns.map(column => ({...column}))
+		}
+		let groups = this.groups.map(group => ({...group}))
+		for (let row of this.rows) {
+			groups.push(...row.groups.filter(name => !groups.some(group => group.name === name)).map(name => ({name: name, label: name})))
+		}
+		if (groups.length > 0) {
+			collection.groups = groups
+		}
+		collection.sets = this.rows.map(row => {
+			if (row.groups.length === 0 && row.equivalence === "" && row.audio === "") {
+				return [...row.pictograms]
+			}
+			let set = {pictograms: [...row.pictograms]}
+			if (row.groups.length > 0) {set.groups = [...row.groups]}
+			if (row.equivalence !== "") {set.equivalence = row.equivalence}
+			if (row.audio !== "") {set.audio = row.audio}
+			return set
+		})
+		return collection
+	}
+	
+	/**
+	 * Find everything that's wrong with the collection (see CollectionValidator).
+	 * @returns {Array} CollectionError objects, one for each problem found. Empty if there are none.
+	 */
+	check() {
+		return new CollectionValidator().check(this.toCollection())
+	}
+	
+	/**
+	 * The collection as a JSON collection file.
+	 * @returns {string}
+	 */
+	export() {
+		return JsonFile.serializeCollection(this.toCollection())
+	}
+	
+	/**
+	 * Create a sample board of the collection: a two row grid with up to six pairs, all face up.
+	 * Sets sharing pictograms only get as many pairs as are sure to fit (see Grid.countPlaceableSets).
+	 * @param {GridTheme} theme - GridTheme object to determine the grid's appearance.
+	 * @param {Random} random - Source of random numbers for populating the grid (default: Math.random based).
+	 * @returns {Grid} The grid, or null if the collection isn't valid or has too few columns for pairs.
+	 */
+	createSampleBoard(theme, random=new Random()) {
+		if (this.check().length > 0 || this.columns.length < 2) {
+			return null
+		}
+		let pictogramSets = PictogramSets.fromCollection(this.toCollection())
+		let grid = new Grid(2, Math.min(Grid.countPlaceableSets(pictogramSets, 2), 6), theme, 2, random)
+		grid.populate(pictogramSets)
+		grid.tiles.forEach(tile => {
+			tile.state = tile.UP
+		})
+		return grid
+	}
+}
+
+/**
+ * Milliseconds after which a set is due for review again, by Leitner box (box 1 first).
+ * @const {Array}
+ */
+const LEITNER_BOX_INTERVALS = [0, 5*60*1000, 60*60*1000, 24*60*60*1000, 4*24*60*60*1000]
+
+/**
+ * Keeps track of how well the learner knows each pictogram set, using Leitner boxes.
+ * 
+ * Every set starts out in box 1. Each successful match moves it up a box, each failed
+ * one back down to box 1. The higher the box, the longer it takes until the set is
+ * due for review again (see LEITNER_BOX_INTERVALS).
+ * 
+ * @property {Clock} clock - Tells the time when records are made or checked.
+ * @property {Object} records - Objects with the attributes "box", "due", "successes", "failures", "streak" and "bestStreak", by PictogramSet.key.
+ */
+class LeitnerLearnerModel {
+	
+	/**
+	 * Create a LeitnerLearnerModel object.
+	 * @param {Clock} clock - Tells the time when records are made or checked (default: a real Clock).
+	 * @param {Object} records - Records to start out with, as returned by toJSON (default: none).
+	 */
+	constructor(clock=new Clock(), records={}) {
+		this.clock = clock
+		this.records = records
+	}
+	
+	/**
+	 * Get the record for the specified set, creating a fresh one if there is none yet.
+	 * @param {PictogramSet} pictogramSet
+	 * @returns {Object}
+	 */
+	getRecord(pictogramSet) {
+		if (!(pictogramSet.key in this.records)) {
+			this.records[pictogramSet.key] = {box: 1, due: 0, successes: 0, failures: 0, streak: 0, bestStreak: 0}
+		}
+		return this.records[pictogramSet.key]
+	}
+	
+	/**
+	 * Has the learner ever tried to match the specified set?
+	 * @param {PictogramSet} pictogramSet
+	 * @returns {boolean}
+	 */
+	hasSeen(pictogramSet) {
+		return pictogramSet.key in this.records
+	}
+	
+	/**
+	 * Move the specified set up a box after a successful match.
+	 * @param {PictogramSet} pictogramSet
+	 */
+	recordSuccess(pictogramSet) {
+		let record = this.getRecord(pictogramSet)
+		record.box = Math.min(record.box + 1, LEITNER_BOX_INTERVALS.length)
+		record.successes += 1
+		record.streak += 1
+		record.bestStreak = Math.max(record.bestStreak, record.streak)
+		record.due = this.clock.now() + LEITNER_BOX_INTERVALS[record.box - 1]
+	}
+	
+	/**
+	 * Move the specified set back to box 1 after a failed match.
+	 * @param {PictogramSet} pictogramSet
+	 */
+	recordFailure(pictogramSet) {
+		let record = this.getRecord(pictogramSet)
+		record.box = 1
+		record.failures += 1
+		record.streak = 0
+		record.due = this.clock.now() + LEITNER_BOX_INTERVALS[0]
+	}
+	
+	/**
+	 * Is the specified set due for review? Sets never seen before always are.
+	 * @param {PictogramSet} pictogramSet
+	 * @returns {boolean}
+	 */
+	isDue(pictogramSet) {
+		if (!this.hasSeen(pictogramSet)) {
+			return true
+		}
+		return this.records[pictogramSet.key].due <= this.clock.now()
+	}
+	
+	/**
+	 * Share of failed attempts at matching the specified set, from 0 (never failed, or never tried) to 1.
+	 * @param {PictogramSet} pictogramSet
+	 * @returns {number}
+	 */
+	errorRate(pictogramSet) {
+		if (!this.hasSeen(pictogramSet)) {
+			return 0
+		}
+		let record = this.records[pictogramSet.key]
+		return record.failures/(record.successes + record.failures)
+	}
+	
+	/**
+	 * How much the specified set should be favoured when populating a grid.
+	 * Due sets weigh four times as much as others, sets in lower boxes and with higher error rates more than the rest.
+	 * @param {PictogramSet} pictogramSet
+	 * @returns {number} A positive number.
+	 */
+	weight(pictogramSet) {
+		let box = (this.hasSeen(pictogramSet) ? this.records[pictogramSet.key].box : 1)
+		return (this.isDue(pictogramSet) ? 4 : 1)*(1 + this.errorRate(pictogramSet))/box
+	}
+	
+	/**
+	 * The records in a form suitable for JSON.stringify, to be passed back into the constructor later.
+	 * @returns {Object}
+	 */
+	toJSON() {
+		return this.records
+	}
+}
+
+/**
+ * Decides in which order pictogram sets are picked to populate a grid.
+ * @interface
+ */
+class PopulationStrategy {
+	
+	/**
+	 * Put the specified pictogram sets in the order they're supposed to be picked in.
+	 * @abstract
+	 * @param {KanamemoArray} pictogramSets - Left as they are; the ordered sets are returned as a new array.
+	 * @param {Random} random - Source of random numbers (default: Math.random based).
+	 * @returns {KanamemoArray}
+	 */
+	order(pictogramSets, random=new Random()) { return new KanamemoArray(pictogramSets) }
+}
+
+/**
+ * Every pictogram set is as likely to be picked as any other.
+ * @implements {PopulationStrategy}
+ */
+class RandomPopulationStrategy extends PopulationStrategy {
+	order(pictogramSets, random=new Random()) {
+		return new KanamemoArray(pictogramSets).shuffle(random)
+	}
+}
+
+/**
+ * Pictogram sets are picked randomly, but biased towards those the learner model considers due or weak.
+ * @implements {PopulationStrategy}
+ * @property {LeitnerLearnerModel} learnerModel - Provides the weight of each set.
+ */
+class LearnerPopulationStrategy extends PopulationStrategy {
+	
+	/**
+	 * Create a LearnerPopulationStrategy object.
+	 * @param {LeitnerLearnerModel} learnerModel - Provides the weight of each set.
+	 */
+	constructor(learnerModel) {
+		super()
+		this.learnerModel = learnerModel
+	}
+	
+	/**
+	 * Weighted random order: each set gets a random sort key of random^(1/weight), so heavier sets
+	 * tend to end up first without lighter ones being ruled out.
+	 */
+	order(pictogramSets, random=new Random()) {
+		let keyed = Array.from(pictogramSets, pictogramSet => [Math.pow(random.next(), 1/this.learnerModel.weight(pictogramSet)), pictogramSet])
+		keyed.sort((a, b) => b[0] - a[0])
+		return new KanamemoArray(keyed.map(([key, pictogramSet]) => pictogramSet))
+	}
+}
+
+/**
+ * Population strategies, by name.
+ * @const {Object}
+ */
+const POPULATION_STRATEGIES = {
+	random: {label: "Random", create: (learnerModel) => new RandomPopulationStrategy()},
+	learner: {label: "Due and weak first", create: (learnerModel) => new LearnerPopulationStrategy(learnerModel)}
+}
+
+/**
+ * Keeps JSON compatible values by key, so they're still there the next time the game is played (if possible).
+ * @interface
+ */
+class Store {
+	
+	/**
+	 * Open the best store available: a BrowserStore if the browser lets us use localStorage, a MemoryStore otherwise.
+	 * @returns {Store}
+	 */
+	static open() {
+		try {
+			let storage = window.localStorage
+			storage.setItem("kanamemo.test", "test")
+			storage.removeItem("kanamemo.test")
+			return new BrowserStore(storage)
+		} catch (error) {
+			return new MemoryStore()
+		}
+	}
+	
+	/**
+	 * Get the value stored under the specified key.
+	 * @abstract
+	 * @param {string} key
+	 * @param {anything} fallback - What to return if there's nothing stored under the key (default: null).
+	 * @returns {anything}
+	 */
+	get(key, fallback=null) { return fallback }
+	
+	/**
+	 * Store the specified value under the specified key.
+	 * @abstract
+	 * @param {string} key
+	 * @param {anything} value - Anything JSON.stringify can handle.
+	 */
+	set(key, value) {}
+}
+
+/**
+ * Store which forgets everything once the page is closed. Used where localStorage isn't available.
+ * @implements {Store}
+ * @property {Object} values - Stored values, as JSON strings by key.
+ */
+class MemoryStore extends Store {
+	constructor() {
+		super()
+		this.values = {}
+	}
+	get(key, fallback=null) {
+		return (key in this.values ? JSON.parse(this.values[key]) : fallback)
+	}
+	set(key, value) {
+		this.values[key] = JSON.stringify(value)
+	}
+}
+
+/**
+ * Store backed by a Web Storage object, like localStorage.
+ * Values that aren't valid JSON (e.g. edited by hand) count as nothing stored, rather than keeping the game from starting.
+ * @implements {Store}
+ * @property {Storage} storage - The Web Storage object.
+ */
+class BrowserStore extends Store {
+	
+	/**
+	 * Create a BrowserStore object.
+	 * @param {Storage} storage - The Web Storage object (e.g. window.localStorage).
+	 */
+	constructor(storage) {
+		super()
+		this.storage = storage
+	}
+	get(key, fallback=null) {
+		let value = this.storage.getItem(key)
+		if (value === null) {
+			return fallback
+		}
+		try {
+			return JSON.parse(value)
+		} catch (error) {
+			if (!(error instanceof SyntaxError)) {throw error}
+			debug("Ignoring the corrupted value stored under "+key+": "+error)
+			return fallback
+		}
+	}
+	set(key, value) {
+		this.storage.setItem(key, JSON.stringify(value))
+	}
+}
+
+/**
+ * Keeps the player's progress in a Store: played rounds, best times, high scores and the learner model.
+ * @property {Store} store - Where the progress is kept.
+ * @property {number} maxRounds - How many of the most recent rounds are kept.
+ * @property {number} maxHighScores - How many scores each high-score table keeps.
+ */
+class ProgressTracker {
+	
+	/**
+	 * Create a ProgressTracker object.
+	 * @param {Store} store - Where the progress is kept.
+	 * @param {number} maxRounds - How many of the most recent rounds are kept (default: 100).
+	 * @param {number} maxHighScores - How many scores each high-score table keeps (default: 10).
+	 */
+	constructor(store, maxRounds=100, maxHighScores=10) {
+		this.store = store
+		this.maxRounds = maxRounds
+		this.maxHighScores = maxHighScores
+	}
+	
+	/**
+	 * Name of the high-score table for a collection and board size.
+	 * @example ProgressTracker.highScoreTable("Hiragana basics", "4×4") returns "Hiragana basics, 4×4"
+	 * @param {string} collection - Name of the collection (or combination of collections) played with.
+	 * @param {string} boardSize - Board size (see KanaGameOptions.boardSize).
+	 * @returns {string}
+	 */
+	static highScoreTable(collection, boardSize) {
+		return collection+", "+boardSize
+	}
+	
+	/**
+	 * The most recent played rounds, oldest first, as objects with the attributes
+	 * "date", "label", "rows", "columns", "moves", "mismatches", "elapsedTime", "score" and "timedOut".
+	 * @returns {Array}
+	 */
+	get rounds() {
+		return this.store.get("kanamemo.rounds", [])
+	}
+	
+	/**
+	 * Best times by board size (e.g. "4×4"), in milliseconds.
+	 * @returns {Object}
+	 */
+	get bestTimes() {
+		return this.store.get("kanamemo.bestTimes", {})
+	}
+	
+	/**
+	 * High-score tables by name (see highScoreTable), each a list of objects with the attributes
+	 * "score", "date", "moves" and "elapsedTime", best first.
+	 * @returns {Object}
+	 */
+	get highScores() {
+		return this.store.get("kanamemo.highScores", {})
+	}
+	
+	/**
+	 * Record a played round, its time if it's the best for its board size, and its score if it makes the high-score table.
+	 * Rounds in which time ran out don't count for best times.
+	 * @param {RoundStats} stats - Statistics of the round.
+	 * @param {KanaGameOptions} options - Options the round was played with.
+	 * @param {string} collection - Name of the collection (or combination of collections) played with (default: "").
+	 * @returns {number} The score's rank in its high-score table (1 for the best), or null if it didn't make it.
+	 */
+	recordRound(stats, options, collection="") {
+		let rounds = this.rounds
+		rounds.push({
+			date: stats.endTime,
+			label: options.label,
+			rows: options.rows,
+			columns: options.columns,
+			moves: stats.moves,
+			mismatches: stats.mismatches,
+			elapsedTime: stats.elapsedTime,
+			score: stats.score,
+			timedOut: stats.isTimedOut
+		})
+		this.store.set("kanamemo.rounds", rounds.slice(-this.maxRounds))
+		
+		let bestTimes = this.bestTimes
+		let board = options.boardSize
+		if (!stats.isTimedOut && (!(board in bestTimes) || stats.elapsedTime < bestTimes[board])) {
+			bestTimes[board] = stats.elapsedTime
+			this.store.set("kanamemo.bestTimes", bestTimes)
+		}
+		
+		let highScores = this.highScores
+		let table = ProgressTracker.highScoreTable(collection, board)
+		let entry = {score: stats.score, date: stats.endTime, moves: stats.moves, elapsedTime: stats.elapsedTime}
+		let scores = [...(highScores[table] || []), entry]
+		scores.sort((a, b) => b.score - a.score || a.date - b.date) // Of equal scores, the earlier one ranks higher.
+		highScores[table] = scores.slice(0, this.maxHighScores)
+		this.store.set("kanamemo.highScores", highScores)
+		let rank = highScores[table].indexOf(entry)
+		return (rank === -1 ? null : rank + 1)
+	}
+	
+	/**
+	 * Keep the records of the specified learner model.
+	 * @param {LeitnerLearnerModel} learnerModel
+	 */
+	saveLearnerModel(learnerModel) {
+		this.store.set("kanamemo.learner", learnerModel)
+	}
+	
+	/**
+	 * Create a learner model from the kept records.
+	 * @param {Clock} clock - Clock for the learner model (default: a real Clock).
+	 * @returns {LeitnerLearnerModel}
+	 */
+	loadLearnerModel(clock=new Clock()) {
+		return new LeitnerLearnerModel(clock, this.store.get("kanamemo.learner", {}))
+	}
+	
+	/**
+	 * Everything kept, as JSON to be imported elsewhere.
+	 * @returns {string}
+	 */
+	export() {
+		return JSON.stringify({
+			kanamemoProgress: 1,
+			rounds: this.rounds,
+			bestTimes: this.bestTimes,
+			highScores: this.highScores,
+			learner: this.store.get("kanamemo.learner", {})
+		}, null, "\t")
+	}
+	
+	/**
+	 * Find out what's wrong with progress to import, if anything: anything but the shape export gives it.
+	 * @param {*} progress - The progress, as parsed from JSON.
+	 * @returns {string} What's wrong, or null if nothing is.
+	 */
+	static findImportProblem(progress) {
+		let isObject = value => value !== null && typeof(value) === "object" && !Array.isArray(value)
+		let hasNumbers = (value, keys) => isObject(value) && keys.every(key => Number.isFinite(value[key]))
+		let isHighScoreTable = scores => Array.isArray(scores) && scores.every(entry => hasNumbers(entry, ["score", "date", "moves", "elapsedTime"]))
+		let isLearnerRecord = record => hasNumbers(record, ["box", "due", "successes", "failures", "streak"])
+			&& Number.isInteger(record.box) && record.box >= 1 && record.box <= LEITNER_BOX_INTERVALS.length
+			&& (!("bestStreak" in record) || Number.isFinite(record.bestStreak)) // Progress exported before there were best streaks has none.
+		if (!isObject(progress) || progress.kanamemoProgress !== 1) {
+			return "It doesn't contain Kanamemo progress."
+		}
+		if (!Array.isArray(progress.rounds) || !progress.rounds.every(round => hasNumbers(round, ["date", "rows", "columns", "moves", "mismatches", "elapsedTime"]))) {
+			return "Its \"rounds\" aren't a list of played rounds."
+		}
+		if (!isObject(progress.bestTimes) || !Object.values(progress.bestTimes).every(Number.isFinite)) {
+			return "Its \"bestTimes\" aren't times by board size."
+		}
+		// Progress exported before there were high scores has none.
+		if ("highScores" in progress && !(isObject(progress.highScores) && Object.values(progress.highScores).every(isHighScoreTable))) {
+			return "Its \"highScores\" aren't high-score tables."
+		}
+		if (!isObject(progress.learner) || !Object.values(progress.learner).every(isLearnerRecord)) {
+			return "Its \"learner\" records aren't records of a learner model."
+		}
+		return null
+	}
+	
+	/**
+	 * Replace everything kept with previously exported progress. Nothing is replaced if the progress isn't valid.
+	 * @param {string} json - What export returned.
+	 * @throws {ProgressError} INVALID_IMPORT if the JSON isn't exported progress (see findImportProblem).
+	 */
+	import(json) {
+		let progress
+		try {
+			progress = JSON.parse(json)
+		} catch (error) {
+			throw new ProgressError(["INVALID_IMPORT"], "The file to import isn't valid JSON.")
+		}
+		let problem = ProgressTracker.findImportProblem(progress)
+		if (problem !== null) {
+			throw new ProgressError(["INVALID_IMPORT"], "The file to import isn't valid Kanamemo progress. "+problem)
+		}
+		this.store.set("kanamemo.rounds", progress.rounds)
+		this.store.set("kanamemo.bestTimes", progress.bestTimes)
+		this.store.set("kanamemo.highScores", progress.highScores || {})
+		this.store.set("kanamemo.learner", progress.learner)
+	}
+	
+	/**
+	 * A summary of everything kept, as expected by HTML_STATS_SCREEN_MARKUP.
+	 * Sets are listed weakest first.
+	 * @returns {Object}
+	 */
+	summarize() {
+		let records = this.store.get("kanamemo.learner", {})
+		let sets = Object.keys(records).map(key => {
+			let record = records[key]
+			let attempts = record.successes + record.failures
+			return {
+				pictograms: key.split("|"),
+				attempts: attempts,
+				accuracy: (attempts > 0 ? record.successes/attempts : 0),
+				streak: record.streak,
+				bestStreak: record.bestStreak || record.streak,
+				box: record.box
+			}
+		})
+		sets.sort((a, b) => a.accuracy - b.accuracy)
+		let bestTimes = this.bestTimes
+		let highScores = this.highScores
+		return {
+			roundCount: this.rounds.length,
+			bestTimes: Object.keys(bestTimes).map(board => ({board: board, time: bestTimes[board]})),
+			highScores: Object.keys(highScores).map(table => ({table: table, scores: highScores[table]})),
+			sets: sets
+		}
+	}
+}
+
+/**
+ * Path prefix of collections the player added themselves, to tell them apart from those of the collection index.
+ * @const {string}
+ */
+const USER_COLLECTION_PREFIX = "user:"
+
+/**
+ * Keeps the collections the player added themselves (from a file or pasted text) in a Store, so they're there next session.
+ * They're kept as the text they were added as, and read again every time, just like collection files.
+ * @property {Store} store - Where the collections are kept.
+ */
+class UserCollectionStore {
+	
+	/**
+	 * Create a UserCollectionStore object.
+	 * @param {Store} store - Where the collections are kept.
+	 */
+	constructor(store) {
+		this.store = store
+	}
+	
+	/**
+	 * The collections kept, as objects with the attributes "path", "fileName" and "content".
+	 * @returns {Array}
+	 */
+	get collections() {
+		return this.store.get("kanamemo.userCollections", [])
+	}
+	
+	/**
+	 * Read a collection and keep it. A collection by the same name replaces the one kept so far.
+	 * @param {string} fileName - Name of the file the collection comes from, to tell its format by. Empty for pasted text.
+	 * @param {string} content - The collection, as JSON or text table (see TextCollectionFile).
+	 * @returns {Object} CollectionLibrary entry for the collection, with the additional attribute "isKept", false if the store couldn't take it (e.g. because it's full).
+	 * @throws {FileError} If the content can't be read.
+	 * @throws {CollectionError} If the collection isn't valid.
+	 */
+	add(fileName, content) {
+		let sets = PictogramSets.parse(content, fileName)
+		let path = USER_COLLECTION_PREFIX+sets.name
+		let collections = this.collections.filter(collection => collection.path !== path)
+		collections.push({path: path, fileName: fileName, content: content})
+		let isKept = true
+		try {
+			this.store.set("kanamemo.userCollections", collections)
+		} catch (error) {
+			isKept = false
+		}
+		return {path: path, isDefault: false, sets: sets, problem: null, isKept: isKept}
+	}
+	
+	/**
+	 * Forget a collection.
+	 * @param {string} path - The collection's path.
+	 */
+	remove(path) {
+		this.store.set("kanamemo.userCollections", this.collections.filter(collection => collection.path !== path))
+	}
+	
+	/**
+	 * Read every collection kept.
+	 * @returns {Array} CollectionLibrary entries, with the problem if a collection can't be read anymore.
+	 */
+	getEntries() {
+		return this.collections.map(collection => {
+			let entry = {path: collection.path, isDefault: false, sets: null, problem: null}
+			try {
+				entry.sets = PictogramSets.parse(collection.content, collection.fileName)
+			} catch (error) {
+				if (!(error instanceof FileError || error instanceof CollectionError)) {throw error}
+				entry.problem = error.message
+			}
+			return entry
+		})
+	}
+}
+
+/**
+ * Plays the reading of a pictogram set, e.g. when one of its tiles is flipped up.
+ * @interface
+ */
+class AudioPlayer {
+	
+	/**
+	 * Play the reading of the specified pictogram set.
+	 * @abstract
+	 * @param {PictogramSet} pictogramSet - The set to play the reading of.
+	 * @param {number} volume - From 0 (silent) to 1 (full volume).
+	 * @returns {Promise} Resolves to whether there was anything to play.
+	 */
+	async play(pictogramSet, volume) { return false }
+}
+
+/**
+ * Plays nothing, but remembers what it was asked to play. For tests, and for browsers without any way to play audio.
+ * @implements {AudioPlayer}
+ * @property {Array} played - The pictogram sets it was asked to play, in order.
+ */
+class SilentAudioPlayer extends AudioPlayer {
+	constructor() {
+		super()
+		this.played = []
+	}
+	async play(pictogramSet, volume) {
+		this.played.push(pictogramSet)
+		return false
+	}
+}
+
+/**
+ * Reads a pictogram set aloud with the Web Speech API, in a Japanese voice if the browser has one.
+ * What's read is the set's first pictogram in Japanese script (e.g. the hiragana of a KanaSet), as romaji
+ * would be read like English.
+ * @implements {AudioPlayer}
+ * @property {Object} synthesis - The SpeechSynthesis object to speak with, or null if there is none.
+ * @property {string} language - BCP 47 language tag of the language to speak in.
+ */
+class SpeechAudioPlayer extends AudioPlayer {
+	
+	/**
+	 * Create a SpeechAudioPlayer object.
+	 * @param {Object} synthesis - The SpeechSynthesis object to speak with (default: the browser's, if it has one).
+	 * @param {string} language - BCP 47 language tag of the language to speak in (default: "ja-JP").
+	 */
+	constructor(synthesis=("speechSynthesis" in window ? window.speechSynthesis : null), language="ja-JP") {
+		super()
+		this.synthesis = synthesis
+		this.language = language
+	}
+	
+	/**
+	 * Get the text to read for a pictogram set.
+	 * @param {PictogramSet} pictogramSet
+	 * @returns {string} Its first pictogram in a column declared Japanese (but not "ja-Latn"), or null if there is none.
+	 */
+	getText(pictogramSet) {
+		let isJapanese = column => column.lang === "ja" || (column.lang !== null && column.lang.startsWith("ja-") && column.lang !== "ja-Latn")
+		let index = pictogramSet.columnDeclarations.findIndex(isJapanese)
+		return (index === -1 ? null : pictogramSet[index])
+	}
+	
+	/**
+	 * The voice to speak with: the first one of the browser's for our language, or null to leave it to the browser.
+	 * @returns {Object} SpeechSynthesisVoice object.
+	 */
+	get voice() {
+		let language = this.language.split("-")[0]
+		return this.synthesis.getVoices().find(voice => voice.lang.replace("_", "-").split("-")[0] === language) || null
+	}
+	
+	async play(pictogramSet, volume) {
+		let text = this.getText(pictogramSet)
+		if (this.synthesis === null || text === null) {
+			return false
+		}
+		let utterance = new SpeechSynthesisUtterance(text)
+		utterance.lang = this.language
+		utterance.volume = volume
+		if (this.voice !== null) {
+			utterance.voice = this.voice
+		}
+		this.synthesis.cancel() // Don't queue up readings of tiles flipped in quick succession.
+		this.synthesis.speak(utterance)
+		return true
+	}
+}
+
+/**
+ * Plays the recordings declared for pictogram sets in the collection ("audio"), and leaves sets without one,
+ * or whose recording can't be played, to another AudioPlayer.
+ * @implements {AudioPlayer}
+ * @property {AudioPlayer} fallback - Plays what we can't.
+ * @property {function} createAudio - Creates an HTMLAudioElement-like object for a URL.
+ * @property {Object} playing - The recording playing at the moment, or null.
+ */
+class CollectionAudioPlayer extends AudioPlayer {
+	
+	/**
+	 * Create a CollectionAudioPlayer object.
+	 * @param {AudioPlayer} fallback - Plays what we can't (default: SpeechAudioPlayer).
+	 * @param {function} createAudio - Creates an HTMLAudioElement-like object for a URL (default: new Audio(url)).
+	 */
+	constructor(fallback=new SpeechAudioPlayer(), createAudio=url => new Audio(url)) {
+		super()
+		this.fallback = fallback
+		this.createAudio = createAudio
+		this.playing = null
+	}
+	
+	async play(pictogramSet, volume) {
+		if (this.playing !== null) {
+			this.playing.pause()
+			this.playing = null
+		}
+		if (pictogramSet.audio !== null) {
+			let audio = this.createAudio(pictogramSet.audio)
+			audio.volume = volume
+			try {
+				this.playing = audio
+				await audio.play()
+				return true
+			} catch (error) {
+				if (this.playing !== audio) {
+					return false // Paused for a newer reading before it got going (an AbortError), rather than unplayable.
+				}
+				debug("Couldn't play "+pictogramSet.audio+": "+error)
+			}
+		}
+		return this.fallback.play(pictogramSet, volume)
+	}
+}
+
+/**
+ * Whether, and how loud, readings are played. Kept in a Store, so it's the same next session.
+ * @property {Store} store - Where the settings are kept.
+ * @property {boolean} muted - Are readings not played at all?
+ * @property {number} volume - From 0 (silent) to 1 (full volume).
+ */
+class AudioSettings {
+	
+	/**
+	 * Create an AudioSettings object with the settings kept in the store, if any.
+	 * @param {Store} store - Where the settings are kept.
+	 */
+	constructor(store) {
+		this.store = store
+		let settings = store.get("kanamemo.audio", {})
+		this.muted = settings.muted === true
+		this.volume = (typeof(settings.volume) === "number" ? settings.volume : 1)
+	}
+	
+	/**
+	 * Mute or unmute readings.
+	 * @param {boolean} muted
+	 */
+	setMuted(muted) {
+		this.muted = muted
+		this.save()
+	}
+	
+	/**
+	 * Change the volume of readings.
+	 * @param {number} volume - From 0 (silent) to 1 (full volume); anything outside is clamped.
+	 */
+	setVolume(volume) {
+		this.volume = Math.min(Math.max(volume, 0), 1)
+		this.save()
+	}
+	
+	/**
+	 * Keep the settings in the store.
+	 */
+	save() {
+		this.store.set("kanamemo.audio", {muted: this.muted, volume: this.volume})
+	}
+}
+
+/**
+ * Vibration patterns of the haptic feedback, by what it's for, in the format of the Vibration API
+ * (milliseconds of vibration, or alternating milliseconds of vibration and pause).
+ * @const {Object}
+ */
+const VIBRATION_PATTERNS = {
+	flip: 10,
+	match: [30, 60, 30],
+	mismatch: 120
+}
+
+/**
+ * Haptic feedback, by way of the Vibration API. Does nothing where there's none (e.g. on desktop browsers).
+ * @property {function} vibrate - Vibrates with a pattern, or null if there's no way to.
+ */
+class Haptics {
+	
+	/**
+	 * Create a Haptics object.
+	 * @param {function} vibrate - Vibrates with a pattern (default: navigator.vibrate, if the browser has it).
+	 */
+	constructor(vibrate=("vibrate" in navigator ? pattern => navigator.vibrate(pattern) : null)) {
+		this.vibrate = vibrate
+	}
+	
+	/**
+	 * Can we vibrate at all?
+	 * @returns {boolean}
+	 */
+	get isAvailable() {
+		return this.vibrate !== null
+	}
+	
+	/**
+	 * Vibrate for the specified reason.
+	 * @param {string} name - Name of the vibration pattern (see VIBRATION_PATTERNS).
+	 * @returns {boolean} Whether the device was asked to vibrate.
+	 */
+	play(name) {
+		if (!this.isAvailable) {
+			return false
+		}
+		try {
+			return this.vibrate(VIBRATION_PATTERNS[name]) !== false
+		} catch (error) {
+			debug("Couldn't vibrate: "+error)
+			return false
+		}
+	}
+}
+
+/**
+ * A collection of all themeing items required to theme the game: the artwork of the tiles, by way of GridTheme and
+ * TileTheme, and the colors, fonts and anything else kanamemo.css leaves to CSS variables.
+ * 
+ * Theme packs are JSON files with a "name", optionally a "description", the URLs of the tile faces in "images"
+ * ("up", "down" and "matched", relative to the theme file), and optionally "colors" and "fonts", objects setting
+ * the CSS variables "--color-" and "--font-" followed by their keys, and "variables", an object setting any other
+ * CSS variable (e.g. "--tile-matched-opacity"). See themes/ for the bundled ones.
+ * @property {GridTheme} gridTheme
+ * @property {string} name - Human readable name of the theme.
+ * @property {string} description - What the theme looks like.
+ * @property {Object} variables - Values of CSS variables, by name (e.g. "--color-background").
+ */
+class GameTheme {
+	
+	/** Create GameTheme object.
+	 * @param {GridTheme} gridTheme - Theme object for the grid.
+	 * @param {string} name - Human readable name of the theme (default: "Plain").
+	 * @param {string} description - What the theme looks like (default: none).
+	 * @param {Object} variables - Values of CSS variables, by name (default: none, the defaults of kanamemo.css).
+	 */
+	constructor(gridTheme, name="Plain", description="", variables={}) {
+		this.gridTheme = gridTheme
+		this.name = name
+		this.description = description
+		this.variables = variables
+	}
+	
+	/**
+	 * Create a GameTheme object from a theme pack.
+	 * @param {Object} json - The parsed theme file.
+	 * @param {string} path - Path of the theme file, which image URLs are relative to (default: "", none).
+	 * @returns {GameTheme}
+	 * @throws {ThemeError} INVALID_THEME if the theme pack isn't valid.
+	 */
+	static fromJson(json, path="") {
+		let isTextObject = object => object !== null && typeof(object) === "object" && !Array.isArray(object) && Object.values(object).every(value => typeof(value) === "string")
+		if (json === null || typeof(json) !== "object" || typeof(json.name) !== "string" || json.name.trim() === "") {
+			throw new ThemeError(["INVALID_THEME"], "The theme "+path+" needs a name.")
+		}
+		if (!isTextObject(json.images) || !["up", "down", "matched"].every(face => typeof(json.images[face]) === "string")) {
+			throw new ThemeError(["INVALID_THEME"], "The theme "+path+" needs \"images\" with the URLs of the up, down and matched tile faces.")
+		}
+		for (let field of ["colors", "fonts", "variables"]) {
+			if (json[field] !== undefined && !isTextObject(json[field])) {
+				throw new ThemeError(["INVALID_THEME"], "The \""+field+"\" of the theme "+path+" need to be an object of text values.")
+			}
+		}
+		let variables = {}
+		Object.entries(json.colors || {}).forEach(([key, value]) => variables["--color-"+key] = value)
+		Object.entries(json.fonts || {}).forEach(([key, value]) => variables["--font-"+key] = value)
+		for (let [name, value] of Object.entries(json.variables || {})) {
+			if (!name.startsWith("--")) {
+				throw new ThemeError(["INVALID_THEME"], "The theme "+path+" sets "+name+", which isn't a CSS variable (those start with \"--\").")
+			}
+			variables[name] = value
+		}
+		let image = face => resolveRelativePath(json.images[face], path)
+		let tileTheme = new TileTheme(image("up"), image("down"), image("matched"))
+		return new GameTheme(new GridTheme(tileTheme), json.name, (typeof(json.description) === "string" ? json.description : ""), variables)
+	}
+	
+	/**
+	 * Load a theme pack.
+	 * @param {string} path - Path of the theme file.
+	 * @returns {Promise} Resolves to the GameTheme object.
+	 * @throws {FileError} If the file can't be loaded or isn't valid JSON.
+	 * @throws {ThemeError} INVALID_THEME if the theme pack isn't valid.
+	 */
+	static async load(path) {
+		let file = new JsonFile(path, "HTTP")
+		await file.open()
+		return GameTheme.fromJson(file.getJson(), path)
+	}
+	
+	/**
+	 * Theme without any artwork, in the colors kanamemo.css defaults to, for when no theme pack can be loaded.
+	 * @returns {GameTheme}
+	 */
+	static createPlain() {
+		return new GameTheme(new GridTheme(new TileTheme("", "", "")))
+	}
+	
+	/**
+	 * Set our CSS variables on a DOM element, so it and its descendants take them on.
+	 * @param {Object} element - The DOM element.
+	 */
+	applyTo(element) {
+		Object.entries(this.variables).forEach(([name, value]) => element.style.setProperty(name, value))
+	}
+	
+	/**
+	 * Unset our CSS variables on a DOM element, e.g. before applying another theme.
+	 * @param {Object} element - The DOM element.
+	 */
+	removeFrom(element) {
+		Object.keys(this.variables).forEach(name => element.style.removeProperty(name))
+	}
+}
+
+/**
+ * The theme packs to choose from, as listed by a theme index: a JSON file with "themes", an array
+ * of objects with the "path" of a theme file (relative to the index) and, optionally, "default": true.
+ * @property {Array} entries - Objects with the attributes "path", "isDefault", "theme" (GameTheme, null if it
+ *  couldn't be loaded) and "problem" (what went wrong loading it, or null).
+ */
+class ThemeLibrary {
+	
+	/**
+	 * Create a ThemeLibrary object.
+	 * @param {Array} entries - Objects with the attributes "path", "isDefault", "theme" and "problem" (default: none).
+	 */
+	constructor(entries=[]) {
+		this.entries = entries
+	}
+	
+	/**
+	 * Load a theme index and every theme pack it lists. A theme pack that can't be loaded
+	 * doesn't keep the others from being used; its entry just says what went wrong.
+	 * @param {string} indexPath - File path of the theme index.
+	 * @returns {Promise} Resolves to the ThemeLibrary object.
+	 * @throws {FileError} If the index can't be loaded or isn't valid JSON.
+	 * @throws {ThemeError} INVALID_THEME if the index doesn't list any themes.
+	 */
+	static async load(indexPath) {
+		let file = new JsonFile(indexPath, "HTTP")
+		await file.open()
+		let index = file.getJson()
+		if (!Array.isArray(index.themes) || !index.themes.every(entry => entry !== null && typeof(entry.path) === "string")) {
+			throw new ThemeError(["INVALID_THEME"], "The theme index "+indexPath+" needs an array of themes with a path each.")
+		}
+		return new ThemeLibrary(await Promise.all(index.themes.map(async entry => {
+			let path = resolveRelativePath(entry.path, indexPath)
+			let libraryEntry = {path: path, isDefault: entry.default === true, theme: null, problem: null}
+			try {
+				libraryEntry.theme = await GameTheme.load(path)
+			} catch (error) {
+				if (!(error instanceof FileError || error instanceof ThemeError)) {throw error}
+				error.embed()
+				libraryEntry.problem = error.message
+			}
+			return libraryEntry
+		})))
+	}
+	
+	/**
+	 * The entries of the themes that could be loaded.
+	 * @returns {Array}
+	 */
+	get availableEntries() {
+		return this.entries.filter(entry => entry.theme !== null)
+	}
+	
+	/**
+	 * Path of the theme to use until another is picked.
+	 * @returns {string} The path of the first available theme marked default, or of the first available one if none is, or null if none is available.
+	 */
+	get defaultPath() {
+		let entry = this.availableEntries.find(entry => entry.isDefault) || this.availableEntries[0]
+		return (entry ? entry.path : null)
+	}
+	
+	/**
+	 * Is the theme with the specified path available?
+	 * @param {string} path
+	 * @returns {boolean}
+	 */
+	has(path) {
+		return this.availableEntries.some(entry => entry.path === path)
+	}
+	
+	/**
+	 * Get the theme with the specified path.
+	 * @param {string} path
+	 * @returns {GameTheme}
+	 * @throws {ThemeError} UNKNOWN_THEME if there's no theme by that path, or it couldn't be loaded.
+	 */
+	getTheme(path) {
+		let entry = this.availableEntries.find(entry => entry.path === path)
+		if (!entry) {
+			throw new ThemeError(["UNKNOWN_THEME"], "Unknown theme: "+path)
+		}
+		return entry.theme
+	}
+}
+
+/**
+ * Which theme is used. Kept in a Store, so it's the same next session.
+ * @property {Store} store - Where the setting is kept.
+ * @property {string} path - Path of the theme picked, or null if none was picked yet.
+ */
+class ThemeSettings {
+	
+	/**
+	 * Create a ThemeSettings object with the setting kept in the store, if any.
+	 * @param {Store} store - Where the setting is kept.
+	 */
+	constructor(store) {
+		this.store = store
+		let settings = store.get("kanamemo.theme", {})
+		this.path = (typeof(settings.path) === "string" ? settings.path : null)
+	}
+	
+	/**
+	 * Pick a theme.
+	 * @param {string} path - The theme's path.
+	 */
+	setPath(path) {
+		this.path = path
+		this.save()
+	}
+	
+	/**
+	 * Keep the setting in the store.
+	 */
+	save() {
+		this.store.set("kanamemo.theme", {path: this.path})
+	}
+}
+
+/**
+ * Picker for the theme to use.
+ * @augments RenderableHtml
+ */
+class ThemeSwitcher extends RenderableHtml {
+	
+	/**
+	 * Create a ThemeSwitcher object.
+	 */
+	constructor() {
+		super("themeSwitcher")
+	}
+	
+	/**
+	 * Render the picker into the specified DOM element.
+	 * @param {Object} parentElement - DOM element to render into.
+	 * @param {ThemeLibrary} library - The themes to choose from.
+	 * @param {string} selectedPath - Path of the theme currently in use.
+	 * @param {KanaGame} game - The game the theme is for.
+	 */
+	render(parentElement, library, selectedPath, game) {
+		let themes = library.availableEntries.map(entry => ({path: entry.path, name: entry.theme.name}))
+		RenderableHtml.prototype.render.call(this, parentElement, HTML_THEME_SWITCHER_MARKUP(this.id, themes, selectedPath))
+		this.element.querySelector(".themeSelect").addEventListener("change", new KanaGameChangeThemeEvent(game))
+	}
+}
+
+/**
+ * Manages the DOM element we're rendering into. Is the beginning of the rendering hierarchy.
+ * @property {Object} element - DOM element we'll be rendering into.
+ */
+
+class HtmlCanvas {
+	
+	/** Create an HtmlCanvas object.
+	 * @param element 
+	 */
+	constructor(element) {
+		this.element = element
+	}
+	
+	/**
+	 * Put what's already rendered on display.
+	 */
+	render(markup) {
+		this.element.innerHTML = markup
+	}
+	
+	/**
+	 * Remove everything rendered so far.
+	 */
+	clear() {
+		this.render("")
+	}
+}
+
+/**
+ * Screen that only shows a message, like a loading indicator or an error.
+ * @augments RenderableHtml
+ * @property {string} message - The message.
+ * @property {boolean} isError - Whether the message is about something that went wrong.
+ */
+class MessageScreen extends RenderableHtml {
+	
+	/**
+	 * Create a MessageScreen object.
+	 * @param {string} message - The message.
+	 * @param {boolean} isError - Whether the message is about something that went wrong (default: false).
+	 */
+	constructor(message, isError=false) {
+		super("messageScreen")
+		this.message = message
+		this.isError = isError
+	}
+	
+	/**
+	 * Render the message into the specified DOM element.
+	 * @param {Object} parentElement - DOM element to render into.
+	 */
+	render(parentElement) {
+		RenderableHtml.prototype.render.call(this, parentElement, HTML_MESSAGE_SCREEN_MARKUP(this.id, this.message, this.isError))
+	}
+}
+
+/**
+ * Live region telling screen readers what happens in the game, such as matches and mismatches.
+ * Visually hidden.
+ * @augments RenderableHtml
+ */
+class Announcer extends RenderableHtml {
+	
+	/**
+	 * Create an Announcer object.
+	 */
+	constructor() {
+		super("announcer")
+	}
+	
+	/**
+	 * Render the (empty) live region into the specified DOM element.
+	 * @param {Object} parentElement - DOM element to render into.
+	 */
+	render(parentElement) {
+		RenderableHtml.prototype.render.call(this, parentElement, HTML_ANNOUNCER_MARKUP(this.id))
+	}
+	
+	/**
+	 * Have screen readers announce the specified message. Does nothing if the live region isn't rendered.
+	 * @param {string} message - The message.
+	 */
+	announce(message) {
+		if (this.elementExists) {
+			this.element.textContent = message
+		}
+	}
+}
+
+/**
+ * Mute toggle and volume slider for the readings played when tiles are flipped up.
+ * @augments RenderableHtml
+ * @property {AudioSettings} settings - The settings the controls change.
+ */
+class AudioControls extends RenderableHtml {
+	
+	/**
+	 * Create an AudioControls object.
+	 * @param {AudioSettings} settings - The settings the controls change.
+	 */
+	constructor(settings) {
+		super("audioControls")
+		this.settings = settings
+	}
+	
+	/**
+	 * Render the controls into the specified DOM element.
+	 * @param {Object} parentElement - DOM element to render into.
+	 * @param {KanaGame} game - The game whose readings the controls are for.
+	 */
+	render(parentElement, game) {
+		RenderableHtml.prototype.render.call(this, parentElement, HTML_AUDIO_CONTROLS_MARKUP(this.id, this.settings))
+		this.element.querySelector(".muteButton").addEventListener("click", new KanaGameToggleMuteEvent(game))
+		this.element.querySelector(".volumeInput").addEventListener("input", new KanaGameVolumeEvent(game))
+	}
+}
+
+/**
+ * How rounds are scored: points for every match, a bonus for every match in a row after the first,
+ * a penalty for every mismatch (the score never drops below 0), and, in rounds with a time limit,
+ * a bonus for every second left when the last match is made.
+ * @const {Object}
+ */
+const SCORING_RULES = {
+	match: 100,
+	streakBonus: 50,
+	mismatchPenalty: 20,
+	secondLeftBonus: 10
+}
+
+/**
+ * Statistics of a round, from the moment the grid is set up until every tile is matched, or time runs out.
+ * @property {number} moves - Number of times tiles were compared for a match.
+ * @property {number} matches - Number of comparisons that resulted in a match.
+ * @property {number} mismatches - Number of comparisons that didn't result in a match.
+ * @property {number} streak - Number of matches in a row so far.
+ * @property {number} bestStreak - Most matches in a row during the round.
+ * @property {number} score - Points scored, according to the rules.
+ * @property {number} startTime - Timestamp (in milliseconds) of when the round started.
+ * @property {number} endTime - Timestamp (in milliseconds) of when the round ended, null while it's still going.
+ * @property {number} timeLimit - Milliseconds the round may take, or null if there's no limit.
+ * @property {boolean} isTimedOut - Did the round end because time ran out?
+ * @property {Object} rules - How the round is scored (see SCORING_RULES).
+ * @property {Clock} clock - Tells the time while the round is still going.
+ */
+class RoundStats {
+	
+	/**
+	 * Create a RoundStats object.
+	 * @param {number} startTime - Timestamp (in milliseconds) of when the round started. Defaults to now.
+	 * @param {number} timeLimit - Milliseconds the round may take (default: null, no limit).
+	 * @param {Clock} clock - Tells the time while the round is still going (default: a real Clock).
+	 * @param {Object} rules - How the round is scored (default: SCORING_RULES).
+	 */
+	constructor(startTime=Date.now(), timeLimit=null, clock=new Clock(), rules=SCORING_RULES) {
+		this.moves = 0
+		this.matches = 0
+		this.mismatches = 0
+		this.streak = 0
+		this.bestStreak = 0
+		this.score = 0
+		this.startTime = startTime
+		this.endTime = null
+		this.timeLimit = timeLimit
+		this.isTimedOut = false
+		this.rules = rules
+		this.clock = clock
+	}
+	
+	/**
+	 * Has the round ended yet?
+	 * @returns {boolean}
+	 */
+	get isFinished() {
+		return !(this.endTime === null)
+	}
+	
+	/**
+	 * Milliseconds the round took, or has taken so far if it's still going.
+	 * @returns {number}
+	 */
+	get elapsedTime() {
+		if (this.isFinished) {
+			return this.endTime - this.startTime
+		} else {
+			return this.clock.now() - this.startTime
+		}
+	}
+	
+	/**
+	 * Milliseconds left before time runs out.
+	 * @returns {number} Never less than 0; null if there's no time limit.
+	 */
+	get remainingTime() {
+		if (this.timeLimit === null) {
+			return null
+		}
+		return Math.max(this.timeLimit - this.elapsedTime, 0)
+	}
+	
+	/**
+	 * Has the round's time run out?
+	 * @returns {boolean} Always false if there's no time limit.
+	 */
+	get isTimeUp() {
+		return this.timeLimit !== null && this.remainingTime === 0
+	}
+	
+	/**
+	 * Count a comparison that resulted in a match, and score it.
+	 */
+	recordMatch() {
+		this.moves += 1
+		this.matches += 1
+		this.streak += 1
+		this.bestStreak = Math.max(this.bestStreak, this.streak)
+		this.score += this.rules.match + this.rules.streakBonus*(this.streak - 1)
+	}
+	
+	/**
+	 * Count a comparison that didn't result in a match, and take the penalty.
+	 */
+	recordMismatch() {
+		this.moves += 1
+		this.mismatches += 1
+		this.streak = 0
+		this.score = Math.max(this.score - this.rules.mismatchPenalty, 0)
+	}
+	
+	/**
+	 * Mark the round as ended. Unless time ran out, every second left scores a bonus.
+	 * @param {number} endTime - Timestamp (in milliseconds) of when the round ended. Defaults to now.
+	 * @param {boolean} isTimedOut - Did the round end because time ran out? (default: false)
+	 */
+	finish(endTime=this.clock.now(), isTimedOut=false) {
+		this.endTime = endTime
+		this.isTimedOut = isTimedOut
+		if (!isTimedOut && this.timeLimit !== null) {
+			this.score += this.rules.secondLeftBonus*Math.floor(this.remainingTime/1000)
+		}
+	}
+}
+
+/**
+ * Heads-up display above the grid, keeping the player up to date on their score, streak, moves and time.
+ * @augments RenderableHtml
+ */
+class Hud extends RenderableHtml {
+	
+	/**
+	 * Create a Hud object.
+	 */
+	constructor() {
+		super("hud")
+	}
+	
+	/**
+	 * Render the display into the specified DOM element, or update it if it's already there.
+	 * @param {Object} parentElement - DOM element to render into.
+	 * @param {RoundStats} stats - Statistics of the round so far.
+	 */
+	render(parentElement, stats) {
+		RenderableHtml.prototype.render.call(this, parentElement, HTML_HUD_MARKUP(this.id, stats))
+	}
+}
+
+/**
+ * Overlay summarizing a round that's over, offering to play another one.
+ * @augments RenderableHtml
+ * @property {RoundStats} stats - Statistics of the round.
+ * @property {number} rank - The score's rank in its high-score table, or null if it didn't make it.
+ */
+class RoundSummary extends RenderableHtml {
+	
+	/**
+	 * Create a RoundSummary object.
+	 * @param {RoundStats} stats - Statistics of the round.
+	 * @param {number} rank - The score's rank in its high-score table (default: null, it didn't make it).
+	 */
+	constructor(stats, rank=null) {
+		super("roundSummary")
+		this.stats = stats
+		this.rank = rank
+	}
+	
+	/**
+	 * Render the overlay into the specified DOM element.
+	 * @param {Object} parentElement - DOM element to render into.
+	 * @param {Object} onPlayAgain - Handler for clicks on the "play again" button (e.g. a KanaGameEvent).
+	 */
+	render(parentElement, onPlayAgain, onChangeSettings) {
+		RenderableHtml.prototype.render.call(this, parentElement, HTML_ROUND_SUMMARY_MARKUP(this.id, this.stats, this.rank))
+		this.element.querySelector(".playAgainButton").addEventListener("click", onPlayAgain)
+		this.element.querySelector(".changeSettingsButton").addEventListener("click", onChangeSettings)
+		this.element.querySelector(".playAgainButton").focus()
+	}
+}
+
+/**
+ * Presets for KanaGameOptions, by name.
+ * @const {Object}
+ */
+const GAME_PRESETS = {
+	easy: {label: "Easy", rows: 2, columns: 3, tilesPerMatch: 2},
+	normal: {label: "Normal", rows: 4, columns: 4, tilesPerMatch: 2},
+	hard: {label: "Hard", rows: 6, columns: 6, tilesPerMatch: 2}
+}
+
+/**
+ * Pairing modes, by name. They restrict which columns of a pictogram set tiles may show.
+ * Columns set to null means any column goes.
+ * @const {Object}
+ */
+const PAIRING_MODES = {
+	any: {label: "Any", columns: null},
+	"hiragana-romaji": {label: "Hiragana ↔ Romaji", columns: ["hiragana", "romaji"]},
+	"katakana-romaji": {label: "Katakana ↔ Romaji", columns: ["katakana", "romaji"]},
+	"hiragana-katakana": {label: "Hiragana ↔ Katakana", columns: ["hiragana", "katakana"]}
+}
+
+/**
+ * Time limits, by name. Duration is in milliseconds, null for no limit.
+ * @const {Object}
+ */
+const TIME_LIMITS = {
+	none: {label: "No time limit", duration: null},
+	"1min": {label: "1 minute", duration: 60*1000},
+	"2min": {label: "2 minutes", duration: 2*60*1000},
+	"5min": {label: "5 minutes", duration: 5*60*1000}
+}
+
+/**
+ * How long mismatched tiles stay up, by name. Duration is in milliseconds.
+ * @const {Object}
+ */
+const REVEAL_DURATIONS = {
+	short: {label: "Short (½ s)", duration: 500},
+	normal: {label: "Normal (1 s)", duration: 1000},
+	long: {label: "Long (2 s)", duration: 2000}
+}
+
+/**
+ * The options a KanaGame round is played with.
+ * @property {string} label - Human readable name of these options (e.g. the preset name).
+ * @property {number} rows - Number of rows of the grid.
+ * @property {number} columns - Number of columns of the grid.
+ * @property {number} tilesPerMatch - Number of tiles needed for a match.
+ * @property {string} pairing - Name of the pairing mode (see PAIRING_MODES).
+ * @property {Array} groups - Names of the collection groups to play with, or null to play with all pictogram sets.
+ * @property {string} matching - Name of the matching strategy (see MATCHING_STRATEGIES).
+ * @property {string} population - Name of the population strategy (see POPULATION_STRATEGIES).
+ * @property {string} seed - Seed to generate the board from, or null for a random board.
+ * @property {Array} collections - Paths of the collections to play with, or null for the collection library's defaults.
+ * @property {string} timeLimit - Name of the time limit (see TIME_LIMITS).
+ * @property {string} reveal - Name of how long mismatched tiles stay up (see REVEAL_DURATIONS).
+ * @property {boolean} dismissRevealOnClick - May mismatched tiles be flipped down early by clicking a tile?
+ */
+class KanaGameOptions {
+	
+	/**
+	 * Create a KanaGameOptions object. Anything not specified defaults to the "normal" preset, pairing any columns of all
+	 * pictogram sets, matching tiles of the same or equivalent sets, and favouring sets due for review on a random board,
+	 * without a time limit, showing mismatched tiles for a second unless a tile is clicked.
+	 * @param {Object} options - Object with any of the attributes "label", "rows", "columns", "tilesPerMatch", "pairing", "groups", "matching", "population", "seed", "collections", "timeLimit", "reveal" and "dismissRevealOnClick".
+	 */
+	constructor({label=GAME_PRESETS.normal.label, rows=GAME_PRESETS.normal.rows, columns=GAME_PRESETS.normal.columns, tilesPerMatch=GAME_PRESETS.normal.tilesPerMatch, pairing="any", groups=null, matching="equivalence", population="learner", seed=null, collections=null, timeLimit="none", reveal="normal", dismissRevealOnClick=true}={}) {
+		this.label = label
+		this.rows = rows
+		this.columns = columns
+		this.tilesPerMatch = tilesPerMatch
+		this.pairing = pairing
+		this.groups = groups
+		this.matching = matching
+		this.population = population
+		this.seed = seed
+		this.collections = collections
+		this.timeLimit = timeLimit
+		this.reveal = reveal
+		this.dismissRevealOnClick = dismissRevealOnClick
+	}
+	
+	/**
+	 * Create a KanaGameOptions object from one of the GAME_PRESETS.
+	 * @param {string} name - Name of the preset (e.g. "easy").
+	 * @param {Object} overrides - Options to use instead of the preset's (e.g. {pairing: "hiragana-romaji"}).
+	 * @returns {KanaGameOptions}
+	 * @throws - Will throw a GameOptionsError if there's no such preset.
+	 */
+	static fromPreset(name, overrides={}) {
+		if (!(name in GAME_PRESETS)) {
+			throw new GameOptionsError(["UNKNOWN_PRESET"], "Unknown game preset: "+name).embed()
+		}
+		return new KanaGameOptions({...GAME_PRESETS[name], ...overrides})
+	}
+	
+	/**
+	 * Names of the pictogram set columns tiles may show, according to the pairing mode.
+	 * @returns {Array} Column names, or null if any column goes.
+	 */
+	get pairingColumns() {
+		return PAIRING_MODES[this.pairing].columns
+	}
+	
+	/**
+	 * Milliseconds a round may take, according to the time limit.
+	 * @returns {number} Null if there's no limit.
+	 */
+	get timeLimitDuration() {
+		return TIME_LIMITS[this.timeLimit].duration
+	}
+	
+	/**
+	 * Milliseconds mismatched tiles stay up.
+	 * @returns {number}
+	 */
+	get revealDuration() {
+		return REVEAL_DURATIONS[this.reveal].duration
+	}
+	
+	/**
+	 * Board size, as shown to the player.
+	 * @example "4×4"
+	 * @returns {string}
+	 */
+	get boardSize() {
+		return this.rows+"×"+this.columns
+	}
+	
+	/**
+	 * Number of tiles on the grid.
+	 * @returns {number}
+	 */
+	get tileCount() {
+		return this.rows*this.columns
+	}
+	
+	/**
+	 * Number of matches it takes to clear the grid.
+	 * @returns {number}
+	 */
+	get matchCount() {
+		return this.tileCount/this.tilesPerMatch
+	}
+	
+	/**
+	 * Create the matching strategy according to the options.
+	 * @returns {MatchingStrategy}
+	 */
+	createMatchingStrategy() {
+		return MATCHING_STRATEGIES[this.matching].create()
+	}
+	
+	/**
+	 * Create the population strategy according to the options.
+	 * Seeded boards are always populated randomly, so they don't depend on the learner's history.
+	 * @param {LeitnerLearnerModel} learnerModel - The learner model for strategies relying on one.
+	 * @returns {PopulationStrategy}
+	 */
+	createPopulationStrategy(learnerModel) {
+		if (this.seed !== null) {
+			return new RandomPopulationStrategy()
+		}
+		return POPULATION_STRATEGIES[this.population].create(learnerModel)
+	}
+	
+	/**
+	 * Create the source of random numbers for populating the board: seeded if there's a seed.
+	 * @returns {Random}
+	 */
+	createRandom() {
+		if (this.seed !== null) {
+			return SeededRandom.fromString(this.seed)
+		}
+		return new Random()
+	}
+	
+	/**
+	 * Get the pictogram sets to play with, according to the selected groups.
+	 * @param {PictogramSets} pictogramSets - All pictogram sets of the collection.
+	 * @returns {PictogramSets}
+	 */
+	selectSets(pictogramSets) {
+		if (this.groups === null) {
+			return pictogramSets
+		}
+		return pictogramSets.filterByGroups(this.groups)
+	}
+	
+	/**
+	 * Find everything that keeps these options from being played with the specified pictogram sets.
+	 * @param {PictogramSets} allPictogramSets - All pictogram sets of the collection. Only the selected groups are checked.
+	 * @returns {Array} GameOptionsError objects, one for each problem found. Empty if there are none.
+	 */
+	problems(allPictogramSets) {
+		let problems = []
+		if (this.groups !== null) {
+			for (let group of this.groups) {
+				if (!allPictogramSets.hasGroup(group)) {
+					problems.push(new GameOptionsError(["UNKNOWN_GROUP"], "The collection has no group named \""+group+"\"."))
+				}
+			}
+		}
+		if (!(this.matching in MATCHING_STRATEGIES)) {
+			problems.push(new GameOptionsError(["UNKNOWN_MATCHING"], "Unknown matching strategy: "+this.matching))
+		}
+		if (!(this.population in POPULATION_STRATEGIES)) {
+			problems.push(new GameOptionsError(["UNKNOWN_POPULATION"], "Unknown population strategy: "+this.population))
+		}
+		if (!(this.timeLimit in TIME_LIMITS)) {
+			problems.push(new GameOptionsError(["UNKNOWN_TIME_LIMIT"], "Unknown time limit: "+this.timeLimit))
+		}
+		if (!(this.reveal in REVEAL_DURATIONS)) {
+			problems.push(new GameOptionsError(["UNKNOWN_REVEAL"], "Unknown reveal duration: "+this.reveal))
+		}
+		let pictogramSets = this.selectSets(allPictogramSets)
+		if (![this.rows, this.columns, this.tilesPerMatch].every(value => Number.isInteger(value) && value > 0)) {
+			problems.push(new GameOptionsError(["INVALID_DIMENSIONS"], "Rows, columns and tiles per match need to be positive whole numbers."))
+			return problems
+		}
+		if (this.tileCount % this.tilesPerMatch !== 0) {
+			problems.push(new GameOptionsError(["INDIVISIBLE_BOARD"], "A "+this.rows+"×"+this.columns+" board can't be split into matches of "+this.tilesPerMatch+" tiles."))
+		}
+		if (Math.ceil(this.matchCount) > pictogramSets.length) {
+			problems.push(new GameOptionsError(["NOT_ENOUGH_SETS"], "A "+this.rows+"×"+this.columns+" board needs "+Math.ceil(this.matchCount)+" pictogram sets, but only "+pictogramSets.length+" are selected."))
+		}
+		if (!(this.pairing in PAIRING_MODES)) {
+			problems.push(new GameOptionsError(["UNKNOWN_PAIRING"], "Unknown pairing mode: "+this.pairing))
+			return problems
+		}
+		if (this.pairingColumns === null) {
+			if (pictogramSets.some(pictogramSet => pictogramSet.length < this.tilesPerMatch)) {
+				problems.push(new GameOptionsError(["MATCH_TOO_LARGE"], "Not every pictogram set of the collection has "+this.tilesPerMatch+" pictograms to match."))
+			}
+		} else {
+			if (this.pairingColumns.length < this.tilesPerMatch) {
+				problems.push(new GameOptionsError(["MATCH_TOO_LARGE"], PAIRING_MODES[this.pairing].label+" only has "+this.pairingColumns.length+" scripts to make matches of "+this.tilesPerMatch+" tiles from."))
+			}
+			for (let column of this.pairingColumns) {
+				if (!pictogramSets.every(pictogramSet => pictogramSet.hasColumn(column))) {
+					problems.push(new GameOptionsError(["MISSING_COLUMN"], "Not every pictogram set of the collection has a \""+column+"\" column."))
+				}
+			}
+		}
+		if (problems.length === 0) {
+			let placeableCount = Grid.countPlaceableSets(pictogramSets, this.tilesPerMatch, this.pairingColumns)
+			if (placeableCount < this.matchCount) {
+				problems.push(new GameOptionsError(["NOT_ENOUGH_SETS"], "A "+this.rows+"×"+this.columns+" board needs "+this.matchCount+" pictogram sets, but only "+placeableCount+" of the selected ones are sure to fit on it, as the others share pictograms."))
+			}
+		}
+		return problems
+	}
+	
+	/**
+	 * Make sure these options can be played with the specified pictogram sets.
+	 * @param {PictogramSets} pictogramSets - All pictogram sets of the collection.
+	 * @throws - Will throw a GameOptionsError for the first problem found, if any.
+	 */
+	validate(pictogramSets) {
+		let problems = this.problems(pictogramSets)
+		if (problems.length > 0) {
+			throw problems[0].embed()
+		}
+	}
+}
+
+/**
+ * Screen offering the collections of the library, GAME_PRESETS, PAIRING_MODES, collection groups, POPULATION_STRATEGIES and TIME_LIMITS
+ * to choose from before a round starts.
+ * Presets that can't be played with the collections at hand are shown, but disabled.
+ * @augments RenderableHtml
+ * @property {CollectionLibrary} library - The collections to choose from.
+ * @property {Array} collections - Paths of the collections currently selected.
+ * @property {PictogramSets} pictogramSets - The selected collections combined, which the presets are checked against.
+ * @property {string} collectionProblem - Why the selected collections can't be played with, or null.
+ * @property {string} collectionMessage - How adding a collection of the player's own went, or null.
+ * @property {string} pairing - Name of the pairing mode currently selected.
+ * @property {Array} groups - Names of the groups currently selected, null for all of them.
+ * @property {string} population - Name of the population strategy currently selected.
+ * @property {string} timeLimit - Name of the time limit currently selected.
+ * @property {string} reveal - Name of the reveal duration currently selected.
+ * @property {boolean} dismissRevealOnClick - Whether mismatched tiles may be flipped down early by clicking a tile.
+ * @property {string} seed - Seed the board will be generated from, or null for a random board.
+ */
+class StartScreen extends RenderableHtml {
+	
+	/**
+	 * Create a StartScreen object.
+	 * @param {CollectionLibrary} library - The collections to choose from.
+	 * @param {KanaGameOptions} options - The options to preselect (e.g. those of the previous round).
+	 */
+	constructor(library, options) {
+		super("startScreen")
+		this.library = library
+		this.collectionMessage = null
+		this.selectCollections(options.collections === null ? library.defaultPaths : options.collections)
+		this.pairing = (options.pairing in this.pairings ? options.pairing : "any")
+		this.groups = options.groups
+		this.population = options.population
+		this.timeLimit = options.timeLimit
+		this.reveal = options.reveal
+		this.dismissRevealOnClick = options.dismissRevealOnClick
+		this.seed = options.seed
+	}
+	
+	/**
+	 * Select the collections to play with, and combine them.
+	 * @param {Array} paths - Paths of the collections.
+	 */
+	selectCollections(paths) {
+		this.collections = paths
+		try {
+			this.pictogramSets = this.library.combine(paths)
+			this.collectionProblem = null
+		} catch (error) {
+			if (!(error instanceof CollectionError)) {throw error}
+			this.pictogramSets = new PictogramSets()
+			this.collectionProblem = error.message
+		}
+	}
+	
+	/**
+	 * The options the player would play with when picking the specified preset.
+	 * @param {string} presetName - Name of one of the GAME_PRESETS.
+	 * @returns {KanaGameOptions}
+	 */
+	getOptions(presetName) {
+		return KanaGameOptions.fromPreset(presetName, {pairing: this.pairing, groups: this.groups, population: this.population, timeLimit: this.timeLimit, reveal: this.reveal, dismissRevealOnClick: this.dismissRevealOnClick, seed: this.seed, collections: this.collections})
+	}
+	
+	/**
+	 * The collections to offer.
+	 * @returns {Array} Objects with the attributes "path", "name", "description", "selected" and "problem".
+	 */
+	get collectionChoices() {
+		return this.library.entries.map(entry => ({
+			path: entry.path,
+			name: (entry.sets ? entry.sets.name : entry.path),
+			description: (entry.sets ? entry.sets.description : ""),
+			selected: this.collections.includes(entry.path),
+			isUserCollection: entry.path.startsWith(USER_COLLECTION_PREFIX),
+			problem: entry.problem
+		}))
+	}
+	
+	/**
+	 * The pairing modes to offer: those whose columns every selected pictogram set has.
+	 * @returns {Object} Pairing modes, by name (see PAIRING_MODES).
+	 */
+	get pairings() {
+		return Object.fromEntries(Object.entries(PAIRING_MODES).filter(([name, pairing]) => {
+			return pairing.columns === null || this.pictogramSets.every(pictogramSet => pairing.columns.every(column => pictogramSet.hasColumn(column)))
+		}))
+	}
+	
+	/**
+	 * The presets to offer, along with the reason they can't be played, if any.
+	 * @returns {Array} Objects with the attributes "name", "options" and "problem".
+	 */
+	get presets() {
+		return Object.keys(GAME_PRESETS).map(name => {
+			let options = this.getOptions(name)
+			if (this.collectionProblem !== null) {
+				return {name: name, options: options, problem: this.collectionProblem}
+			}
+			let problems = options.problems(this.pictogramSets)
+			return {name: name, options: options, problem: (problems.length > 0 ? problems[0].message : null)}
+		})
+	}
+	
+	/**
+	 * Render the start screen into the specified DOM element.
+	 * @param {Object} parentElement - DOM element to render into.
+	 * @param {KanaGame} game - The game to start once a preset is picked.
+	 */
+	render(parentElement, game) {
+		RenderableHtml.prototype.render.call(this, parentElement, HTML_START_SCREEN_MARKUP(this.id, this.presets, this.collectionChoices, this.collectionProblem, this.collectionMessage, this.pairings, this.pairing, this.pictogramSets.groups, this.groups, POPULATION_STRATEGIES, this.population, TIME_LIMITS, this.timeLimit, REVEAL_DURATIONS, this.reveal, this.dismissRevealOnClick, this.seed))
+		for (let button of this.element.querySelectorAll(".presetButton")) {
+			button.addEventListener("click", new KanaGameStartEvent(game, this, button.dataset.preset))
+		}
+		this.element.querySelector(".pairingSelect").addEventListener("change", new KanaGameStartScreenChangeEvent(game, this))
+		this.element.querySelector(".populationSelect").addEventListener("change", new KanaGameStartScreenChangeEvent(game, this))
+		this.element.querySelector(".timeLimitSelect").addEventListener("change", new KanaGameStartScreenChangeEvent(game, this))
+		this.element.querySelector(".revealSelect").addEventListener("change", new KanaGameStartScreenChangeEvent(game, this))
+		this.element.querySelector(".dismissRevealCheckbox").addEventListener("change", new KanaGameStartScreenChangeEvent(game, this))
+		this.element.querySelector(".statsButton").addEventListener("click", new KanaGameShowStatsEvent(game))
+		this.element.querySelector(".editorButton").addEventListener("click", new KanaGameShowEditorEvent(game))
+		for (let checkbox of this.element.querySelectorAll(".groupCheckbox, .collectionCheckbox")) {
+			checkbox.addEventListener("change", new KanaGameStartScreenChangeEvent(game, this))
+		}
+		for (let button of this.element.querySelectorAll(".removeCollectionButton")) {
+			button.addEventListener("click", new KanaGameRemoveCollectionEvent(game, this, button.dataset.path))
+		}
+		let addCollectionEvent = new KanaGameAddCollectionEvent(game, this)
+		this.element.querySelector(".collectionFileInput").addEventListener("change", addCollectionEvent)
+		this.element.querySelector(".collectionPasteButton").addEventListener("click", addCollectionEvent)
+		this.element.addEventListener("dragover", addCollectionEvent)
+		this.element.addEventListener("drop", addCollectionEvent)
+	}
+	
+	/**
+	 * Render again with the specified collection added to the selection.
+	 * @param {string} path - The collection's path.
+	 * @param {string} message - How adding it went.
+	 * @param {KanaGame} game - The game to start once a preset is picked.
+	 */
+	showAddedCollection(path, message, game) {
+		this.selectCollections([...this.collections.filter(selectedPath => selectedPath !== path), path])
+		this.groups = null
+		this.showCollectionMessage(message, game)
+	}
+	
+	/**
+	 * Render again with the specified collection removed from the selection.
+	 * @param {string} path - The collection's path.
+	 * @param {KanaGame} game - The game to start once a preset is picked.
+	 */
+	showRemovedCollection(path, game) {
+		this.selectCollections(this.collections.filter(selectedPath => selectedPath !== path))
+		this.groups = null
+		this.showCollectionMessage(null, game)
+	}
+	
+	/**
+	 * Render again with a message about adding a collection of the player's own.
+	 * @param {string} message - The message, or null for none.
+	 * @param {KanaGame} game - The game to start once a preset is picked.
+	 */
+	showCollectionMessage(message, game) {
+		this.collectionMessage = message
+		if (!(this.pairing in this.pairings)) {
+			this.pairing = "any"
+		}
+		this.render(this.parent, game)
+	}
+	
+	/**
+	 * Take note of what's currently selected and render again, so the presets reflect it.
+	 * Picking other collections selects all of their groups, and any pairing mode they don't support is dropped.
+	 * @param {KanaGame} game - The game to start once a preset is picked.
+	 */
+	update(game) {
+		let collections = [...this.element.querySelectorAll(".collectionCheckbox")].filter(checkbox => checkbox.checked).map(checkbox => checkbox.value)
+		this.population = this.element.querySelector(".populationSelect").value
+		this.timeLimit = this.element.querySelector(".timeLimitSelect").value
+		this.reveal = this.element.querySelector(".revealSelect").value
+		this.dismissRevealOnClick = this.element.querySelector(".dismissRevealCheckbox").checked
+		if (collections.join("|") !== this.collections.join("|")) {
+			this.selectCollections(collections)
+			this.groups = null
+		} else {
+			let checkboxes = [...this.element.querySelectorAll(".groupCheckbox")]
+			if (checkboxes.every(checkbox => checkbox.checked)) {
+				this.groups = null
+			} else {
+				this.groups = checkboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value)
+			}
+		}
+		let pairing = this.element.querySelector(".pairingSelect").value
+		this.pairing = (pairing in this.pairings ? pairing : "any")
+		this.render(this.parent, game)
+	}
+}
+
+/**
+ * Screen listing the player's progress, with the means to export and import it.
+ * @augments RenderableHtml
+ * @property {ProgressTracker} progress - The progress to list.
+ */
+class StatsScreen extends RenderableHtml {
+	
+	/**
+	 * Create a StatsScreen object.
+	 * @param {ProgressTracker} progress - The progress to list.
+	 */
+	constructor(progress) {
+		super("statsScreen")
+		this.progress = progress
+	}
+	
+	/**
+	 * Render the statistics into the specified DOM element.
+	 * @param {Object} parentElement - DOM element to render into.
+	 * @param {KanaGame} game - The game whose progress is listed.
+	 * @param {string} message - Message to show above the statistics (default: null, none).
+	 */
+	render(parentElement, game, message=null) {
+		RenderableHtml.prototype.render.call(this, parentElement, HTML_STATS_SCREEN_MARKUP(this.id, this.progress.summarize(), message))
+		this.element.querySelector(".exportButton").addEventListener("click", new KanaGameExportProgressEvent(game))
+		this.element.querySelector(".importInput").addEventListener("change", new KanaGameImportProgressEvent(game))
+		this.element.querySelector(".backButton").addEventListener("click", new KanaGameChangeSettingsEvent(game))
+	}
+}
+
+/**
+ * Screen for editing a collection (see CollectionEditor), either a new one or one of the library.
+ * What's wrong with the collection is shown as it's edited; once there's nothing wrong, a sample board is shown instead.
+ * @augments RenderableHtml
+ * @property {CollectionLibrary} library - The collections that can be loaded into the editor.
+ * @property {CollectionEditor} editor - The collection being edited.
+ * @property {string} selectedPath - Path of the collection loaded into the editor, or null for a new one.
+ */
+class EditorScreen extends RenderableHtml {
+	
+	/**
+	 * Create an EditorScreen object.
+	 * @param {CollectionLibrary} library - The collections that can be loaded into the editor.
+	 */
+	constructor(library) {
+		super("editorScreen")
+		this.library = library
+		this.editor = new CollectionEditor()
+		this.selectedPath = null
+	}
+	
+	/**
+	 * Load a collection of the library into the editor.
+	 * @param {string} path - The collection's path, or null for a new one.
+	 */
+	load(path) {
+		let entry = this.library.availableEntries.find(entry => entry.path === path)
+		this.selectedPath = (entry ? path : null)
+		this.editor = (entry ? CollectionEditor.fromPictogramSets(entry.sets) : new CollectionEditor())
+	}
+	
+	/**
+	 * Render the editor into the specified DOM element.
+	 * @param {Object} parentElement - DOM element to render into.
+	 * @param {KanaGame} game - The game whose collections are edited.
+	 */
+	render(parentElement, game) {
+		let collections = this.library.availableEntries.map(entry => ({path: entry.path, name: entry.sets.name}))
+		RenderableHtml.prototype.render.call(this, parentElement, HTML_EDITOR_SCREEN_MARKUP(this.id, collections, this.selectedPath, this.editor))
+		this.element.querySelector(".editorCollectionSelect").addEventListener("change", new KanaGameEditorLoadEvent(game, this))
+		let inputEvent = new KanaGameEditorInputEvent(game, this)
+		for (let input of this.element.querySelectorAll(".editorName, .editorDescription, .editorColumnName, .editorCell, .editorRowGroups, .editorRowEquivalence, .editorRowAudio")) {
+			input.addEventListener("input", inputEvent)
+		}
+		let actionEvent = new KanaGameEditorActionEvent(game, this)
+		for (let button of this.element.querySelectorAll("button[data-action]")) {
+			button.addEventListener("click", actionEvent)
+		}
+		this.element.querySelector(".editorExportButton").addEventListener("click", new KanaGameEditorExportEvent(game, this))
+		this.element.querySelector(".backButton").addEventListener("click", new KanaGameChangeSettingsEvent(game))
+		this.renderStatus(game)
+	}
+	
+	/**
+	 * Render only what's wrong with the collection, or the sample board, leaving the inputs (and the focus) alone.
+	 * @param {KanaGame} game - The game whose collections are edited.
+	 */
+	renderStatus(game) {
+		let status = this.element.querySelector(".editorStatus")
+		status.innerHTML = HTML_EDITOR_STATUS_MARKUP(this.editor.check())
+		let preview = status.querySelector(".editorPreview")
+		if (preview !== null) {
+			let grid = this.editor.createSampleBoard(game.theme.gridTheme)
+			if (grid !== null) {
+				grid.render(preview)
+			}
+		}
+	}
+	
+	/**
+	 * Take note of a changed input.
+	 * @param {Object} input - The input's DOM element.
+	 */
+	applyInput(input) {
+		let row = Number(input.dataset.row)
+		let column = Number(input.dataset.column)
+		if (input.classList.contains("editorName")) {
+			this.editor.name = input.value
+		} else if (input.classList.contains("editorDescription")) {
+			this.editor.description = input.value
+		} else if (input.classList.contains("editorColumnName")) {
+			this.editor.setColumnName(column, input.value)
+		} else if (input.classList.contains("editorCell")) {
+			this.editor.setPictogram(row, column, input.value)
+		} else if (input.classList.contains("editorRowGroups")) {
+			this.editor.setGroups(row, input.value)
+		} else if (input.classList.contains("editorRowEquivalence")) {
+			this.editor.setEquivalence(row, input.value)
+		} else if (input.classList.contains("editorRowAudio")) {
+			this.editor.setAudio(row, input.value)
+		}
+	}
+	
+	/**
+	 * Carry out one of the editor's actions, as named in the "data-action" attribute of its button.
+	 * @param {string} action - E.g. "addRow" or "moveColumnLeft".
+	 * @param {number} index - Index of the set or column to act on.
+	 */
+	applyAction(action, index) {
+		switch (action) {
+			case "addRow": this.editor.addRow(index); break
+			case "removeRow": this.editor.removeRow(index); break
+			case "moveRowUp": this.editor.moveRow(index, -1); break
+			case "moveRowDown": this.editor.moveRow(index, 1); break
+			case "addColumn": this.editor.addColumn(index); break
+			case "removeColumn": this.editor.removeColumn(index); break
+			case "moveColumnLeft": this.editor.moveColumn(index, -1); break
+			case "moveColumnRight": this.editor.moveColumn(index, 1); break
+		}
+	}
+}
+
+/**
+ * Represents the game and manages its parts and execution.
+ * @property {Canvas} - Object managing the interface we're working with (e.g. DOM hierarchy).
+ * @property {string} collection - Path to the collection JSON file specifying our pictograms.
+ * @property {GameTheme} theme - GameTheme object with all the media configured we need to render the game.
+ * @property sets {PictogramSets} - Pictogram sets as taken from the specified JSON file sorted into an Array-like object. Null until loaded.
+ */
+class Game {
+	
+	/**
+	 * Create a Game object.
+	 * @param {Canvas} canvas - Object managing the interface we're working with (e.g. DOM hierarchy).
+	 * @param {string} collection - Path to the collection JSON file specifying our pictograms.
+	 * @param {GameTheme} theme - GameTheme object with all the media configured we need to render the game.
+	 */
+	constructor(canvas, collection, theme) {
+		this.canvas = canvas
+		this.collection = collection
+		this.theme = theme
+		this.sets = null
+	}
+	
+	/**
+	 * Load the pictogram sets from the collection file.
+	 * @returns {Promise} Resolves once the sets are loaded.
+	 * @throws {FileError} If the collection file can't be loaded.
+	 * @throws {CollectionError} If the collection isn't valid.
+	 */
+	async load() {
+		this.sets = await PictogramSets.load(this.collection)
+	}
+	
+	/**
+	 * Get the game displayed/updated on the screen according to its current state.
+	 * @abstract
+	 */
+	render() {}
+	
+	/**
+	 * Initialize the game (add DOM elements and events, for example).
+	 * @abstract
+	 */
+	setUp() {}
+	
+	/**
+	 * Load, initialize and start the game.
+	 * @returns {Promise} Resolves once the game is started.
+	 */
+	async run() {
+		await this.load()
+		this.setUp()
+	}
+}
+
+/**
+ * Something that happened in a game, as passed to the listeners of an EventBus.
+ * @property {string} type - What kind of thing happened, e.g. "matchFound".
+ * @property {Object} detail - What there is to know about it, depending on the type.
+ */
+class GameEvent {
+	
+	/**
+	 * Create a GameEvent object.
+	 * @param {string} type - What kind of thing happened.
+	 * @param {Object} detail - What there is to know about it (default: nothing).
+	 */
+	constructor(type, detail={}) {
+		this.type = type
+		this.detail = detail
+	}
+}
+
+/**
+ * Passes the events of a game on to whoever listens to them, so what follows the course of the game
+ * (statistics, audio, analytics…) doesn't need to be part of its logic.
+ * Listeners are functions, or objects with a handleEvent method, like DOM event listeners (and KanaGameEvent objects).
+ * They're called in the order they were added, right as the event is emitted. Those returning a promise aren't waited for.
+ * @property {Map} listeners - Arrays of listeners, by event type.
+ */
+class EventBus {
+	
+	/**
+	 * Create an EventBus object.
+	 * @param {Array} types - Types of the events emitted on the bus.
+	 */
+	constructor(types) {
+		this.listeners = new Map(types.map(type => [type, []]))
+	}
+	
+	/**
+	 * Types of the events emitted on the bus.
+	 * @returns {Array}
+	 */
+	get types() {
+		return [...this.listeners.keys()]
+	}
+	
+	/**
+	 * Get the listeners to events of the specified type.
+	 * @param {string} type - The event type.
+	 * @returns {Array}
+	 * @throws {EventBusError} UNKNOWN_EVENT_TYPE if no events of that type are emitted on the bus.
+	 */
+	getListeners(type) {
+		if (!this.listeners.has(type)) {
+			throw new EventBusError(["UNKNOWN_EVENT_TYPE"], "There are no \""+type+"\" events, only "+this.types.join(", ")+".")
+		}
+		return this.listeners.get(type)
+	}
+	
+	/**
+	 * Listen to events of the specified type.
+	 * @param {string} type - The event type.
+	 * @param {function|EventListener} listener - Called with the GameEvent object.
+	 * @returns {function} Stops the listener listening, see off.
+	 * @throws {EventBusError} UNKNOWN_EVENT_TYPE if no events of that type are emitted on the bus.
+	 */
+	on(type, listener) {
+		this.getListeners(type).push(listener)
+		return () => this.off(type, listener)
+	}
+	
+	/**
+	 * Stop a listener listening to events of the specified type. Does nothing if it wasn't.
+	 * @param {string} type - The event type.
+	 * @param {function|EventListener} listener - The listener, as passed to on.
+	 * @throws {EventBusError} UNKNOWN_EVENT_TYPE if no events of that type are emitted on the bus.
+	 */
+	off(type, listener) {
+		let listeners = this.getListeners(type)
+		let index = listeners.indexOf(listener)
+		if (index !== -1) {
+			listeners.splice(index, 1)
+		}
+	}
+	
+	/**
+	 * Pass an event on to its listeners. A listener that fails, right away or by rejecting the promise it returns,
+	 * doesn't keep the others from being called.
+	 * @param {string} type - The event type.
+	 * @param {Object} detail - What there is to know about the event (default: nothing).
+	 * @returns {GameEvent} The event.
+	 * @throws {EventBusError} UNKNOWN_EVENT_TYPE if no events of that type are emitted on the bus.
+	 */
+	emit(type, detail={}) {
+		let event = new GameEvent(type, detail)
+		let report = error => debug("A listener to "+type+" failed: "+error)
+		for (let listener of [...this.getListeners(type)]) { // Listeners stopping or adding others don't change who's called.
+			try {
+				let result = (typeof(listener) === "function" ? listener(event) : listener.handleEvent(event))
+				if (result instanceof Promise) {
+					result.catch(report)
+				}
+			} catch (error) {
+				report(error)
+			}
+		}
+		return event
+	}
+}
+
+/**
+ * Object passed directly to javascript event functions, which then execute its handleEvent method.
+ * @properties {Game} game - Game object representing the game, so it's available during event handling.
+ */
+class KanaGameEvent {
+	
+	/** Create KanaGameEvent
+	 * @param {KanaGame} game - Game object representing the game.
+	 */
+	constructor(game) {
+		this.game = game
+	}
+	/**
+	 * Events such as "onclick" will execute this. Subclass & override.
+	 */
+	handleEvent(event) {}
+}
+
+/**
+ * Event handler for the "play again" button shown once a round is completed.
+ * @augments KanaGameEvent - Constructor remains unchanged.
+ */
+class KanaGamePlayAgainEvent extends KanaGameEvent {
+	
+	/**
+	 * Start a new round with the same pictogram sets.
+	 */
+	handleEvent(event) {
+		this.game.playAgain()
+	}
+}
+
+/**
+ * Event handler for the "change settings" button shown once a round is completed.
+ * @augments KanaGameEvent - Constructor remains unchanged.
+ */
+class KanaGameChangeSettingsEvent extends KanaGameEvent {
+	
+	/**
+	 * Go back to the start screen.
+	 */
+	handleEvent(event) {
+		this.game.showStartScreen()
+	}
+}
+
+/**
+ * Event handler for the preset buttons of the start screen.
+ * @augments KanaGameEvent
+ * @properties {StartScreen} startScreen - The start screen the preset was picked on.
+ * @properties {string} presetName - Name of the picked preset.
+ */
+class KanaGameStartEvent extends KanaGameEvent {
+	
+	/**
+	 * Create a KanaGameStartEvent object.
+	 * @param {KanaGame} game - Game object representing the game.
+	 * @param {StartScreen} startScreen - The start screen the preset was picked on.
+	 * @param {string} presetName - Name of the picked preset.
+	 */
+	constructor(game, startScreen, presetName) {
+		super(game)
+		this.startScreen = startScreen
+		this.presetName = presetName
+	}
+	
+	/**
+	 * Start a round with the options chosen on the start screen.
+	 */
+	handleEvent(event) {
+		this.game.start(this.startScreen.getOptions(this.presetName))
+	}
+}
+
+/**
+ * Event handler for the button leading to the statistics.
+ * @augments KanaGameEvent - Constructor remains unchanged.
+ */
+class KanaGameShowStatsEvent extends KanaGameEvent {
+	
+	/**
+	 * Show the statistics.
+	 */
+	handleEvent(event) {
+		this.game.showStats()
+	}
+}
+
+/**
+ * Event handler for the button leading to the collection editor.
+ * @augments KanaGameEvent - Constructor remains unchanged.
+ */
+class KanaGameShowEditorEvent extends KanaGameEvent {
+	
+	/**
+	 * Show the collection editor.
+	 */
+	handleEvent(event) {
+		this.game.showEditor()
+	}
+}
+
+/**
+ * Base class for the event handlers of the collection editor.
+ * @augments KanaGameEvent
+ * @properties {EditorScreen} editorScreen - The editor the event happened on.
+ */
+class KanaGameEditorEvent extends KanaGameEvent {
+	
+	/**
+	 * Create a KanaGameEditorEvent object.
+	 * @param {KanaGame} game - Game object representing the game.
+	 * @param {EditorScreen} editorScreen - The editor the event happened on.
+	 */
+	constructor(game, editorScreen) {
+		super(game)
+		this.editorScreen = editorScreen
+	}
+}
+
+/**
+ * Event handler for picking the collection to edit.
+ * @augments KanaGameEditorEvent - Constructor remains unchanged.
+ */
+class KanaGameEditorLoadEvent extends KanaGameEditorEvent {
+	
+	/**
+	 * Load the picked collection into the editor.
+	 */
+	handleEvent(event) {
+		this.editorScreen.load(event.target.value || null)
+		this.editorScreen.render(this.editorScreen.parent, this.game)
+	}
+}
+
+/**
+ * Event handler for the inputs of the collection editor.
+ * @augments KanaGameEditorEvent - Constructor remains unchanged.
+ */
+class KanaGameEditorInputEvent extends KanaGameEditorEvent {
+	
+	/**
+	 * Take note of the change, and show what's wrong with the collection now (or the sample board).
+	 */
+	handleEvent(event) {
+		this.editorScreen.applyInput(event.target)
+		this.editorScreen.renderStatus(this.game)
+	}
+}
+
+/**
+ * Event handler for the buttons of the collection editor adding, removing and moving sets and columns.
+ * @augments KanaGameEditorEvent - Constructor remains unchanged.
+ */
+class KanaGameEditorActionEvent extends KanaGameEditorEvent {
+	
+	/**
+	 * Carry out the button's action, and render the editor again.
+	 */
+	handleEvent(event) {
+		this.editorScreen.applyAction(event.currentTarget.dataset.action, Number(event.currentTarget.dataset.index))
+		this.editorScreen.render(this.editorScreen.parent, this.game)
+	}
+}
+
+/**
+ * Event handler for the button exporting the collection being edited.
+ * @augments KanaGameEditorEvent - Constructor remains unchanged.
+ */
+class KanaGameEditorExportEvent extends KanaGameEditorEvent {
+	
+	/**
+	 * Offer the collection as a JSON file download.
+	 */
+	handleEvent(event) {
+		let fileName = (this.editorScreen.editor.name.toLowerCase().replace(/[^a-z0-9]+/g, "") || "collection")+".json"
+		let url = URL.createObjectURL(new Blob([this.editorScreen.editor.export()], {type: "application/json"}))
+		let link = document.createElement("a")
+		link.href = url
+		link.download = fileName
+		link.click()
+		setTimeout(() => URL.revokeObjectURL(url)) // Not before the download got going, or some browsers call it off.
+	}
+}
+
+/**
+ * Event handler for the button exporting the player's progress.
+ * @augments KanaGameEvent - Constructor remains unchanged.
+ */
+class KanaGameExportProgressEvent extends KanaGameEvent {
+	
+	/**
+	 * Offer the exported progress as a file download.
+	 */
+	handleEvent(event) {
+		let url = URL.createObjectURL(new Blob([this.game.progress.export()], {type: "application/json"}))
+		let link = document.createElement("a")
+		link.href = url
+		link.download = "kanamemo-progress.json"
+		link.click()
+		setTimeout(() => URL.revokeObjectURL(url)) // Not before the download got going, or some browsers call it off.
+	}
+}
+
+/**
+ * Event handler for the file input importing progress.
+ * @augments KanaGameEvent - Constructor remains unchanged.
+ */
+class KanaGameImportProgressEvent extends KanaGameEvent {
+	
+	/**
+	 * Read the picked file and import it.
+	 */
+	async handleEvent(event) {
+		let file = event.target.files[0]
+		if (typeof(file) === "undefined") {return}
+		this.game.importProgress(await file.text())
+	}
+}
+
+/**
+ * Event handler for the ways of adding a collection of the player's own on the start screen:
+ * picking a file, dropping one onto the start screen, or pasting one.
+ * @augments KanaGameEvent
+ * @properties {StartScreen} startScreen - The start screen the collection is added on.
+ */
+class KanaGameAddCollectionEvent extends KanaGameEvent {
+	
+	/**
+	 * Create a KanaGameAddCollectionEvent object.
+	 * @param {KanaGame} game - Game object representing the game.
+	 * @param {StartScreen} startScreen - The start screen the collection is added on.
+	 */
+	constructor(game, startScreen) {
+		super(game)
+		this.startScreen = startScreen
+	}
 	
-	/** Create GameTheme object.
-	 * @param {GridTheme} gridTheme - Theme object for the grid.
+	/**
+	 * Read the picked, dropped or pasted collection and add it.
 	 */
-	constructor(gridTheme) {
-		this.gridTheme = gridTheme
+	async handleEvent(event) {
+		let file
+		if (event.type === "dragover") {
+			// Lets the start screen be dropped onto.
+			event.preventDefault()
+			return
+		} else if (event.type === "drop") {
+			event.preventDefault()
+			file = event.dataTransfer.files[0]
+		} else if (event.type === "change") {
+			file = event.target.files[0]
+		} else {
+			let content = this.startScreen.element.querySelector(".collectionPasteInput").value
+			if (content.trim() === "") {return}
+			this.game.addUserCollection("", content, this.startScreen)
+			return
+		}
+		if (typeof(file) === "undefined") {return}
+		this.game.addUserCollection(file.name, await file.text(), this.startScreen)
 	}
 }
 
 /**
- * Manages the DOM element we're rendering into. Is the beginning of the rendering hierarchy.
- * @property {Object} element - DOM element we'll be rendering into.
+ * Event handler for the buttons removing a collection of the player's own from the start screen.
+ * @augments KanaGameEvent
+ * @properties {StartScreen} startScreen - The start screen the collection is removed on.
+ * @properties {string} path - The collection's path.
  */
-
-class HtmlCanvas {
+class KanaGameRemoveCollectionEvent extends KanaGameEvent {
 	
-	/** Create an HtmlCanvas object.
-	 * @param element 
+	/**
+	 * Create a KanaGameRemoveCollectionEvent object.
+	 * @param {KanaGame} game - Game object representing the game.
+	 * @param {StartScreen} startScreen - The start screen the collection is removed on.
+	 * @param {string} path - The collection's path.
 	 */
-	constructor(element) {
-		this.element = element
+	constructor(game, startScreen, path) {
+		super(game)
+		this.startScreen = startScreen
+		this.path = path
 	}
 	
 	/**
-	 * Put what's already rendered on display.
+	 * Remove the collection.
 	 */
-	render(markup) {
-		this.element.innerHTML = markup
+	handleEvent(event) {
+		event.preventDefault()
+		this.game.removeUserCollection(this.path, this.startScreen)
 	}
 }
 
 /**
- * Represents the game and manages its parts and execution.
- * @property {Canvas} - Object managing the interface we're working with (e.g. DOM hierarchy).
- * @property {string} collection - Path to the collection JSON file specifying our pictograms.
- * @property {GameTheme} theme - GameTheme object with all the media configured we need to render the game.
- * @property sets {PictogramSets} - Pictogram sets as taken from the specified JSON file sorted into an Array-like object.
+ * Event handler for changes to the selections on the start screen.
+ * @augments KanaGameEvent
+ * @properties {StartScreen} startScreen - The start screen the selection was changed on.
  */
-class Game {
+class KanaGameStartScreenChangeEvent extends KanaGameEvent {
 	
 	/**
-	 * Create a Game object.
-	 * @param {Canvas} canvas - Object managing the interface we're working with (e.g. DOM hierarchy).
-	 * @param {string} collection - Path to the collection JSON file specifying our pictograms.
-	 * @param {GameTheme} theme - GameTheme object with all the media configured we need to render the game.
+	 * Create a KanaGameStartScreenChangeEvent object.
+	 * @param {KanaGame} game - Game object representing the game.
+	 * @param {StartScreen} startScreen - The start screen the selection was changed on.
 	 */
-	constructor(canvas, collection, theme) {
-		this.canvas = canvas
-		this.collection = collection
-		this.theme = theme
-		this.sets = new PictogramSets(this.collection)
+	constructor(game, startScreen) {
+		super(game)
+		this.startScreen = startScreen
 	}
 	
 	/**
-	 * Get the game displayed/updated on the screen according to its current state.
-	 * @abstract
+	 * Have the start screen reflect the new selection.
 	 */
-	render() {}
+	handleEvent(event) {
+		this.startScreen.update(this.game)
+	}
+}
+
+/**
+ * Event handler for the mute toggle.
+ * @augments KanaGameEvent - Constructor remains unchanged.
+ */
+class KanaGameToggleMuteEvent extends KanaGameEvent {
 	
 	/**
-	 * Initialize the game (add DOM elements and events, for example).
-	 * @abstract
+	 * Mute or unmute the readings, and show it.
 	 */
-	setUp() {}
+	handleEvent(event) {
+		this.game.audioSettings.setMuted(!this.game.audioSettings.muted)
+		this.game.audioControls.render(this.game.audioControls.parent, this.game)
+		this.game.audioControls.element.querySelector(".muteButton").focus()
+	}
+}
+
+/**
+ * Event handler for the volume slider.
+ * @augments KanaGameEvent - Constructor remains unchanged.
+ */
+class KanaGameVolumeEvent extends KanaGameEvent {
 	
 	/**
-	 * Initialize and start the game.
+	 * Change the volume of the readings to the slider's value.
 	 */
-	run() {
-		this.setUp()
+	handleEvent(event) {
+		this.game.audioSettings.setVolume(Number(event.target.value))
 	}
 }
 
 /**
- * Object passed directly to javascript event functions, which then execute its handleEvent method.
- * @properties {Game} game - Game object representing the game, so it's available during event handling.
+ * Event handler for the theme picker.
+ * @augments KanaGameEvent - Constructor remains unchanged.
  */
-class KanaGameEvent {
+class KanaGameChangeThemeEvent extends KanaGameEvent {
 	
-	/** Create KanaGameEvent
-	 * @param {KanaGame} game - Game object representing the game.
-	 */
-	constructor(game) {
-		this.game = game
-	}
 	/**
-	 * Events such as "onclick" will execute this. Subclass & override.
+	 * Use the theme picked, from now on.
 	 */
-	handleEvent(event) {}
+	handleEvent(event) {
+		this.game.changeTheme(event.target.value)
+	}
 }
 
 /**
@@ -960,10 +5499,12 @@ class KanaGameTileEvent extends KanaGameEvent {
 class KanaGameOnMatchedTileClickEvent extends KanaGameTileEvent {
 	
 	/**
-	 * @todo Not implemented.
+	 * Hide mismatched tiles early, if they're on display and the options allow it. Matched tiles stay as they are.
 	 */
 	handleEvent(event) {
-		console.log("Matched tile event fired: "+event)
+		if (this.game.isRevealingMismatch) {
+			this.game.dismissMismatch()
+		}
 	}
 }
 
@@ -974,10 +5515,13 @@ class KanaGameOnMatchedTileClickEvent extends KanaGameTileEvent {
 class KanaGameOnUpTileClickEvent extends KanaGameTileEvent {
 	
 	/**
-	 * @todo Not implemented.
+	 * Hide mismatched tiles early, if they're on display and the options allow it. A tile waiting
+	 * for others to be compared with stays up.
 	 */
 	handleEvent(event) {
-		console.log("Up tile event fired: "+event)
+		if (this.game.isRevealingMismatch) {
+			this.game.dismissMismatch()
+		}
 	}
 }
 
@@ -993,29 +5537,384 @@ class KanaGameOnDownTileClickEvent extends KanaGameTileEvent {
 	 * board are matching and the actions depending on that are hooked in.
 	 */
 	handleEvent(event) {
-		// Flip our tile up.
+		if (this.game.roundStats.isFinished) {return} // E.g. time ran out.
+		if (this.game.isRevealingMismatch) {
+			// Input is locked while mismatched tiles are on display; at most, the click hides them early.
+			this.game.dismissMismatch()
+			return
+		}
+		// Flip our tile up, and tell whoever is listening (e.g. to have its reading played).
 		this.tile.changeToUp()
+		this.game.events.emit("tileFlipped", {tile: this.tile})
 		this.game.upTiles.push(this.tile)
 		this.game.processUpTiles()
 	}
 }
 
+/**
+ * Keys moving the keyboard focus across the grid, with the row and column offsets they move it by.
+ * Letter keys are lower case.
+ * @const {Object}
+ */
+const GRID_NAVIGATION_KEYS = {
+	ArrowUp: [-1, 0], w: [-1, 0],
+	ArrowDown: [1, 0], s: [1, 0],
+	ArrowLeft: [0, -1], a: [0, -1],
+	ArrowRight: [0, 1], d: [0, 1]
+}
+
+/**
+ * Keys flipping the tile that has the keyboard focus.
+ * @const {Array}
+ */
+const GRID_ACTIVATION_KEYS = ["Enter", " "]
+
+/**
+ * Event handler for keys pressed on the grid: Arrow keys and WASD move the focus from tile to tile,
+ * Enter and Space act like a click on the focused tile.
+ * @augments KanaGameEvent - Constructor remains unchanged.
+ */
+class KanaGameGridKeyEvent extends KanaGameEvent {
+	handleEvent(event) {
+		if (event.altKey || event.ctrlKey || event.metaKey) {return}
+		let index = this.game.grid.tiles.findIndex(tile => tile.element === event.target)
+		if (index === -1) {return}
+		let key = (event.key.length === 1 ? event.key.toLowerCase() : event.key)
+		if (key in GRID_NAVIGATION_KEYS) {
+			event.preventDefault()
+			this.game.grid.focusTile(this.game.grid.getAdjacentTileIndex(index, ...GRID_NAVIGATION_KEYS[key]))
+		} else if (GRID_ACTIVATION_KEYS.includes(key)) {
+			event.preventDefault()
+			this.game.grid.tiles[index].element.click()
+		}
+	}
+}
+
+/**
+ * Types of the events a KanaGame emits (see KanaGame.on), and what their "detail" holds:
+ *  - collectionLoaded: The collection library is loaded, ready to pick collections from. {library}
+ *  - roundStarted: A round is set up and on display. {grid, options, roundStats}
+ *  - tileFlipped: A tile was flipped up. {tile}
+ *  - matchFound: The tiles up form a match. {tiles, pictogramSets, roundStats}
+ *  - mismatch: The tiles up don't form a match. {tiles, pictogramSets, roundStats}
+ *  - roundCompleted: The round is over, with every tile matched, or its time up (see RoundStats.isTimedOut). {roundStats, rank}
+ * @const {Array}
+ */
+const KANA_GAME_EVENT_TYPES = ["collectionLoaded", "roundStarted", "tileFlipped", "matchFound", "mismatch", "roundCompleted"]
+
 /**
  * Represents the game and handles things such as running it, its state or appearance.
  * Also contains or refers (e.g. by the means of event handlers) the game's logic.
- * @augments Game - Constructor parameters and properties inherited without change.
+ * @augments Game
+ * @property {KanaGameOptions} options - The options the game is played with.
+ * @property {EventBus} events - Passes on what happens in the game to whoever listens (see KANA_GAME_EVENT_TYPES).
+ * @property {MatchingStrategy} matchingStrategy - Decides whether the up tiles form a match.
+ * @property {ProgressTracker} progress - Keeps the player's progress between sessions.
+ * @property {LeitnerLearnerModel} learnerModel - Records how well the learner does with each pictogram set.
  * @property {Array} upTiles - All tiles currently in the up state.
+ * @property {RoundStats} roundStats - Statistics of the current round.
+ * @property {Announcer} announcer - Tells screen readers about matches and mismatches.
+ * @property {AudioPlayer} audioPlayer - Plays the readings of tiles flipped up.
+ * @property {AudioSettings} audioSettings - Whether, and how loud, readings are played.
+ * @property {AudioControls} audioControls - Mute toggle and volume slider shown above the grid.
+ * @property {Haptics} haptics - Vibrates as tiles are flipped, matched and mismatched.
+ * @property {Hud} hud - Score, streak, moves and time shown above the grid.
+ * @property {Clock} clock - Tells the time, and ticks the HUD and the time limit along.
+ * @property {number} ticker - ID of the clock's interval ticking the round along, null while no round is going.
  * @property {number} numberOfTilesNeededForMatch - Number of tiles needed for a match.
+ * @fires collectionLoaded
+ * @fires roundStarted
+ * @fires tileFlipped
+ * @fires matchFound
+ * @fires mismatch
+ * @fires roundCompleted
+ * @fires roundcompleted - Dispatched on the canvas element once every tile is matched, with the RoundStats as "detail".
  */
 class KanaGame extends Game {
 	
-	constructor(canvas, collection, theme) {
-		super(canvas, collection, theme)
+	/**
+	 * Create a KanaGame object.
+	 * @param {Canvas} canvas - Object managing the interface we're working with (e.g. DOM hierarchy).
+	 * @param {string} collection - Path to the collection index listing the collections to choose from (see CollectionLibrary).
+	 * @param {GameTheme|string} theme - GameTheme object with all the media configured we need to render the game, or the path
+	 *  to the index of the theme packs to choose from (see ThemeLibrary), in which case the one picked last session is used.
+	 * @param {KanaGameOptions} options - The options to play with until others are picked on the start screen.
+	 * @param {ProgressTracker} progress - Keeps the player's progress between sessions (default: kept in the best Store available).
+	 * @param {LeitnerLearnerModel} learnerModel - Records how well the learner does with each pictogram set (default: loaded from the progress).
+	 * @param {AudioPlayer} audioPlayer - Plays the readings of tiles flipped up (default: the collection's recordings, read aloud by the browser where there are none).
+	 * @param {Haptics} haptics - Vibrates as tiles are flipped, matched and mismatched (default: the device's vibration, if any).
+	 */
+	constructor(canvas, collection, theme, options=new KanaGameOptions(), progress=new ProgressTracker(Store.open()), learnerModel=progress.loadLearnerModel(), audioPlayer=new CollectionAudioPlayer(new SpeechAudioPlayer()), haptics=new Haptics()) {
+		super(canvas, collection, (typeof(theme) === "string" ? GameTheme.createPlain() : theme))
 		
+		this.themeIndex = (typeof(theme) === "string" ? theme : null)
+		this.themes = new ThemeLibrary()
+		this.themePath = null
+		this.themeSettings = new ThemeSettings(progress.store)
+		this.themeSwitcher = new ThemeSwitcher()
+		this.options = options
+		this.events = new EventBus(KANA_GAME_EVENT_TYPES)
+		this.library = null
+		this.grid = null
+		this.matchingStrategy = options.createMatchingStrategy()
+		this.progress = progress
+		this.userCollections = new UserCollectionStore(progress.store)
+		this.learnerModel = learnerModel
 		this.upTiles = []
-		
-		// Options.
-		this.numberOfTilesNeededForMatch = 2
+		this.roundStats = null
+		this.announcer = new Announcer()
+		this.audioPlayer = audioPlayer
+		this.audioSettings = new AudioSettings(progress.store)
+		this.audioControls = new AudioControls(this.audioSettings)
+		this.haptics = haptics
+		this.hud = new Hud()
+		this.clock = new Clock()
+		this.ticker = null
+		this.mismatchReveal = null
+		this.revealTimer = null
+		this.addListeners()
+	}
+	
+	/**
+	 * Listen to the events of the game (see KANA_GAME_EVENT_TYPES), e.g. from another script on the page:
+	 * @example game.on("matchFound", event => console.log(event.detail.pictogramSets))
+	 * @param {string} type - The event type.
+	 * @param {function|EventListener} listener - Called with the GameEvent object.
+	 * @returns {function} Stops the listener listening.
+	 * @throws {EventBusError} UNKNOWN_EVENT_TYPE if there are no events of that type.
+	 */
+	on(type, listener) {
+		return this.events.on(type, listener)
+	}
+	
+	/**
+	 * Stop a listener listening to the events of the game.
+	 * @param {string} type - The event type.
+	 * @param {function|EventListener} listener - The listener, as passed to on.
+	 * @throws {EventBusError} UNKNOWN_EVENT_TYPE if there are no events of that type.
+	 */
+	off(type, listener) {
+		this.events.off(type, listener)
+	}
+	
+	/**
+	 * Plug in what follows the course of the game without being part of its logic:
+	 * the readings of tiles flipped up, and the haptic feedback.
+	 */
+	addListeners() {
+		this.on("tileFlipped", event => this.playReading(event.detail.tile))
+		this.on("tileFlipped", () => this.haptics.play("flip"))
+		this.on("matchFound", () => this.haptics.play("match"))
+		this.on("mismatch", () => this.haptics.play("mismatch"))
+	}
+	
+	/**
+	 * Record an attempt at a match with the learner model, and keep it with the progress.
+	 * @param {Array} pictogramSets - The pictogram sets of the tiles up.
+	 * @param {boolean} isSuccess - Whether the tiles matched.
+	 */
+	recordAttempt(pictogramSets, isSuccess) {
+		pictogramSets.forEach(pictogramSet => (isSuccess ? this.learnerModel.recordSuccess(pictogramSet) : this.learnerModel.recordFailure(pictogramSet)))
+		this.progress.saveLearnerModel(this.learnerModel)
+	}
+	
+	/**
+	 * Number of tiles needed for a match, as set in the options.
+	 * @returns {number}
+	 */
+	get numberOfTilesNeededForMatch() {
+		return this.options.tilesPerMatch
+	}
+	
+	/**
+	 * Load the collection library, and combine the collections the options ask for.
+	 * @returns {Promise} Resolves once the library is loaded.
+	 * @throws {FileError} If the collection index can't be loaded.
+	 * @throws {CollectionError} If the index isn't valid, or none of the collections the options ask for are available.
+	 */
+	async load() {
+		await this.loadThemes()
+		this.library = await CollectionLibrary.load(this.collection, this.userCollections)
+		this.sets = this.library.combine(this.options.collections)
+		this.events.emit("collectionLoaded", {library: this.library})
+	}
+	
+	/**
+	 * Load the theme packs listed by the theme index, if we were given one, and use the one picked last session,
+	 * or else the default one. If none can be loaded, we stay plain.
+	 * @returns {Promise} Resolves once the theme is applied.
+	 */
+	async loadThemes() {
+		if (this.themeIndex === null) {return}
+		try {
+			this.themes = await ThemeLibrary.load(this.themeIndex)
+		} catch (error) {
+			if (!(error instanceof FileError || error instanceof ThemeError)) {throw error}
+			error.embed()
+			this.themes = new ThemeLibrary()
+		}
+		let path = (this.themes.has(this.themeSettings.path) ? this.themeSettings.path : this.themes.defaultPath)
+		if (path !== null) {
+			this.applyTheme(this.themes.getTheme(path), path)
+		}
+	}
+	
+	/**
+	 * Render with the specified theme from now on, setting its CSS variables on the document.
+	 * @param {GameTheme} theme - The theme.
+	 * @param {string} path - Path of the theme pack it's from, or null if it isn't from one (default: null).
+	 */
+	applyTheme(theme, path=null) {
+		this.theme.removeFrom(document.documentElement)
+		this.theme = theme
+		this.themePath = path
+		theme.applyTo(document.documentElement)
+		if (this.grid) {
+			this.grid.setTheme(theme.gridTheme)
+		}
+	}
+	
+	/**
+	 * Switch to the theme pack with the specified path, remember the choice for next session,
+	 * and render the round on display again, if any, with the theme's artwork.
+	 * @param {string} path - The theme pack's path.
+	 * @throws {ThemeError} UNKNOWN_THEME if there's no theme by that path, or it couldn't be loaded.
+	 */
+	changeTheme(path) {
+		this.applyTheme(this.themes.getTheme(path), path)
+		this.themeSettings.setPath(path)
+		if (this.grid && this.grid.elementExists) {
+			this.render()
+		}
+	}
+	
+	/**
+	 * Render the theme picker, if there's more than one theme to pick from.
+	 */
+	renderThemeSwitcher() {
+		if (this.themes.availableEntries.length > 1) {
+			this.themeSwitcher.render(this.canvas.element, this.themes, this.themePath, this)
+		}
+	}
+	
+	/**
+	 * Load the collections while showing a loading indicator, then show the start screen,
+	 * so the player can pick the options of the next round.
+	 * If the collections can't be loaded, say so instead.
+	 * @returns {Promise} Resolves once the start screen (or the error) is shown.
+	 */
+	async run() {
+		this.showMessage("Loading collections…")
+		try {
+			await this.load()
+		} catch (error) {
+			if (!(error instanceof FileError || error instanceof CollectionError)) {throw error}
+			this.showMessage("Couldn't load the collections: "+error.message, true)
+			return
+		}
+		this.showStartScreen()
+	}
+	
+	/**
+	 * Replace whatever is on display with a message.
+	 * @param {string} message - The message.
+	 * @param {boolean} isError - Whether the message is about something that went wrong (default: false).
+	 */
+	showMessage(message, isError=false) {
+		this.canvas.clear()
+		new MessageScreen(message, isError).render(this.canvas.element)
+	}
+	
+	/**
+	 * Replace whatever is on display with the start screen.
+	 */
+	showStartScreen() {
+		this.canvas.clear()
+		new StartScreen(this.library, this.options).render(this.canvas.element, this)
+		this.renderThemeSwitcher()
+	}
+	
+	/**
+	 * Replace whatever is on display with the collection editor.
+	 */
+	showEditor() {
+		this.canvas.clear()
+		new EditorScreen(this.library).render(this.canvas.element, this)
+	}
+	
+	/**
+	 * Replace whatever is on display with the statistics.
+	 * @param {string} message - Message to show above the statistics (default: null, none).
+	 */
+	showStats(message=null) {
+		this.canvas.clear()
+		new StatsScreen(this.progress).render(this.canvas.element, this, message)
+	}
+	
+	/**
+	 * Replace the player's progress with previously exported progress, and show how that went.
+	 * @param {string} json - The exported progress.
+	 */
+	importProgress(json) {
+		try {
+			this.progress.import(json)
+		} catch (error) {
+			if (!(error instanceof ProgressError)) {throw error}
+			this.showStats("Import failed: "+error.embed())
+			return
+		}
+		this.learnerModel = this.progress.loadLearnerModel(this.learnerModel.clock)
+		this.showStats("Progress imported.")
+	}
+	
+	/**
+	 * Add a collection of the player's own to the library, keep it for next session, and show how that went.
+	 * @param {string} fileName - Name of the file the collection comes from, to tell its format by. Empty for pasted text.
+	 * @param {string} content - The collection, as JSON or text table.
+	 * @param {StartScreen} startScreen - The start screen the collection was added on.
+	 */
+	addUserCollection(fileName, content, startScreen) {
+		let entry
+		try {
+			entry = this.userCollections.add(fileName, content)
+		} catch (error) {
+			if (!(error instanceof FileError || error instanceof CollectionError)) {throw error}
+			startScreen.showCollectionMessage("Couldn't add the collection: "+error.message, this)
+			return
+		}
+		this.library.addEntry(entry)
+		let message = "Added \u201c"+entry.sets.name+"\u201d."
+		if (!entry.isKept) {
+			message += " It couldn't be kept for next session, though, as there's no room left in the browser's storage."
+		}
+		startScreen.showAddedCollection(entry.path, message, this)
+	}
+	
+	/**
+	 * Remove a collection of the player's own from the library and forget it.
+	 * @param {string} path - The collection's path.
+	 * @param {StartScreen} startScreen - The start screen the collection was removed on.
+	 */
+	removeUserCollection(path, startScreen) {
+		this.userCollections.remove(path)
+		this.library.removeEntry(path)
+		startScreen.showRemovedCollection(path, this)
+	}
+	
+	/**
+	 * Start a round with the specified options.
+	 * @param {KanaGameOptions} options - The options to play with from now on.
+	 * @throws {CollectionError} If the collections the options ask for aren't available.
+	 * @throws - Will throw a GameOptionsError if the options can't be played with the pictogram sets of those collections.
+	 */
+	start(options) {
+		let sets = this.library.combine(options.collections)
+		options.validate(sets)
+		this.sets = sets
+		this.options = options
+		this.matchingStrategy = options.createMatchingStrategy()
+		this.canvas.clear()
+		this.setUp()
 	}
 	
 	/**
@@ -1023,26 +5922,78 @@ class KanaGame extends Game {
 	 */
 	setUp() {
 		// Create grid.
-		this.grid = new Grid(4, 4, this.theme.gridTheme)
-		this.grid.populate(this.sets)
+		this.grid = new Grid(this.options.rows, this.options.columns, this.theme.gridTheme, this.options.tilesPerMatch, this.options.createRandom())
+		this.grid.populate(this.options.selectSets(this.sets), this.options.pairingColumns, this.options.createPopulationStrategy(this.learnerModel))
 		this.addOnClickHandlersToTiles()
+		this.mismatchReveal = null
+		this.stopRevealTimer()
+		this.upTiles = []
+		this.roundStats = new RoundStats(this.clock.now(), this.options.timeLimitDuration, this.clock)
 		this.render()
+		this.grid.focusTile(0)
+		this.startTicker()
+		this.events.emit("roundStarted", {grid: this.grid, options: this.options, roundStats: this.roundStats})
+	}
+	
+	/**
+	 * Have the clock tick the round along every second (see tick), instead of any round before.
+	 */
+	startTicker() {
+		this.stopTicker()
+		this.ticker = this.clock.setInterval(() => this.tick(), 1000)
+	}
+	
+	/**
+	 * Stop the clock ticking the round along.
+	 */
+	stopTicker() {
+		if (this.ticker !== null) {
+			this.clock.clearInterval(this.ticker)
+			this.ticker = null
+		}
+	}
+	
+	/**
+	 * Bring the HUD up to date, and end the round if its time ran out.
+	 */
+	tick() {
+		if (this.roundStats.isTimeUp) {
+			this.processTimeUp()
+		} else {
+			this.hud.render(this.canvas.element, this.roundStats)
+		}
+	}
+	
+	/**
+	 * Throw away the current round and start a new one, populated from the same pictogram sets.
+	 */
+	playAgain() {
+		this.canvas.clear()
+		this.setUp()
 	}
 	
 	/**
 	 * Render the game/update the relevant parts on the screen.
 	 */
 	render() {
+		this.audioControls.render(this.canvas.element, this)
+		this.renderThemeSwitcher()
+		this.hud.render(this.canvas.element, this.roundStats)
 		this.grid.render(this.canvas.element)
+		this.grid.element.addEventListener("keydown", new KanaGameGridKeyEvent(this))
+		this.announcer.render(this.canvas.element)
 	}
 	
 	/**
-	 * Do we have more tiles than what's needed for a match?
-	 * This should never exceed the number of tiles needed for a match by more
-	 * than one.
+	 * Play the reading of a tile's pictogram set, unless muted.
+	 * @param {Tile} tile - The tile.
+	 * @returns {Promise} Resolves to whether there was anything to play.
 	 */
-	get maxUpTilesNeededForMatchExceeded() {
-		return (this.upTiles.length > this.numberOfTilesNeededForMatch)
+	playReading(tile) {
+		if (this.audioSettings.muted) {
+			return Promise.resolve(false)
+		}
+		return this.audioPlayer.play(tile.pictogramSet, this.audioSettings.volume)
 	}
 	
 	/**
@@ -1053,50 +6004,174 @@ class KanaGame extends Game {
 	}
 	
 	/**
-	 * Do the tiles currently in the up state form a match?
+	 * Do the tiles currently in the up state form a match, according to our matching strategy?
 	 */
 	upTilesAreMatching() {
-		console.log("Matching:")
-		console.log(this.upTiles[0])
-		console.log(this.upTiles[1])
-		return this.upTiles.every(upTile => upTile.isInSameSetAs(this.upTiles[0]))
+		return this.matchingStrategy.areMatching(this.upTiles)
+	}
+	
+	/**
+	 * The distinct pictogram sets of the tiles currently in the up state.
+	 * @returns {Array}
+	 */
+	get upPictogramSets() {
+		return [...new Set(this.upTiles.map(tile => tile.pictogramSet))]
+	}
+	
+	/**
+	 * The pictograms of the tiles currently in the up state, for announcements.
+	 * @example "ka, か"
+	 * @returns {string}
+	 */
+	get upPictogramsText() {
+		return this.upTiles.map(tile => tile.pictogram).join(", ")
+	}
+	
+	/**
+	 * What there is to know about the tiles up, for the matchFound and mismatch events.
+	 * @returns {Object}
+	 */
+	get upTilesDetail() {
+		return {tiles: [...this.upTiles], pictogramSets: this.upPictogramSets, roundStats: this.roundStats}
 	}
 	
 	/**
 	 * Everything that needs to be done once a match is confirmed.
-	 * Currently, all it does is change the status of all up tiles to matched.
+	 * Scores the match, records it with the learner model, announces it, tells whoever is listening, changes
+	 * the status of all up tiles to matched, and completes the round if that was the last match on the grid.
 	 */
 	processMatch() {
-		while(this.upTiles.length > 0) { this.upTiles.pop().changeToMatched() }
+		this.roundStats.recordMatch()
+		this.recordAttempt(this.upPictogramSets, true)
+		this.announcer.announce("Match: "+this.upPictogramsText+".")
+		this.events.emit("matchFound", this.upTilesDetail)
+		let animations = []
+		while(this.upTiles.length > 0) { animations.push(this.upTiles.pop().changeToMatched()) }
+		if (this.grid.isComplete) {
+			this.processRoundCompletion(Promise.all(animations))
+		}
 	}
 	
 	/**
 	 * Everything that needs to be done once it's clear the tiles aren't matching.
-	 * Currently, all it does is change the status of all up tiles except the most
-	 * recently up-flipped one to down.
+	 * Scores the mismatch, records it with the learner model, announces it and tells whoever is listening. The tiles
+	 * show they're mismatched, and stay up for the reveal duration set in the options, counted from when
+	 * they're done flipping, so the player can view them. No other tile can be flipped meanwhile.
+	 * Then hideMismatch flips them down.
 	 */
 	processMismatch() {
-		for (let remaining = this.upTiles.length - 1; remaining > 0; remaining--) {
-			this.upTiles.shift().changeToDown()
+		this.roundStats.recordMismatch()
+		this.recordAttempt(this.upPictogramSets, false)
+		this.announcer.announce("No match: "+this.upPictogramsText+".")
+		this.events.emit("mismatch", this.upTilesDetail)
+		let mismatchReveal = this.mismatchReveal = Promise.all(this.upTiles.map(tile => tile.showMismatch()))
+		mismatchReveal.then(() => {
+			if (this.mismatchReveal === mismatchReveal && !this.roundStats.isFinished) {
+				this.revealTimer = this.clock.setTimeout(() => this.hideMismatch(), this.options.revealDuration)
+			}
+		})
+	}
+	
+	/**
+	 * Are mismatched tiles on display, so the grid doesn't take any input?
+	 * @returns {boolean}
+	 */
+	get isRevealingMismatch() {
+		return this.mismatchReveal !== null
+	}
+	
+	/**
+	 * Change the status of the mismatched tiles on display to down, unlocking the grid.
+	 */
+	hideMismatch() {
+		this.mismatchReveal = null
+		this.stopRevealTimer()
+		while(this.upTiles.length > 0) { this.upTiles.shift().changeToDown() }
+	}
+	
+	/**
+	 * Hide the mismatched tiles on display before the reveal duration has passed, if the options allow it.
+	 */
+	dismissMismatch() {
+		if (this.options.dismissRevealOnClick) {
+			this.hideMismatch()
+		}
+	}
+	
+	/**
+	 * Call off flipping down the mismatched tiles on display, if that's still due.
+	 */
+	stopRevealTimer() {
+		if (this.revealTimer !== null) {
+			this.clock.clearTimeout(this.revealTimer)
+			this.revealTimer = null
 		}
 	}
 	
+	/**
+	 * Everything that needs to be done once every tile on the grid is matched:
+	 * Finish and record the round statistics, tell whoever is listening and show the summary.
+	 * @param {Promise} animations - Resolves once the last tiles are done transitioning to matched (default: null, there's nothing to wait for).
+	 * @returns {Promise} Resolves once the summary is shown.
+	 */
+	processRoundCompletion(animations=null) {
+		this.stopTicker()
+		this.roundStats.finish(this.clock.now())
+		this.canvas.element.dispatchEvent(new CustomEvent("roundcompleted", {detail: this.roundStats}))
+		return this.endRound("All tiles matched!", animations)
+	}
+	
+	/**
+	 * Everything that needs to be done once the round's time ran out:
+	 * Finish and record the round statistics and show the summary.
+	 */
+	processTimeUp() {
+		this.stopTicker()
+		this.stopRevealTimer()
+		this.mismatchReveal = null // Mismatched tiles on display stay up, but clicks can't hide them anymore.
+		this.roundStats.finish(this.clock.now(), true)
+		this.endRound("Time's up!")
+	}
+	
+	/**
+	 * Record the finished round, with its score in the high-score table of the collection and board size,
+	 * bring the HUD up to date, announce the end, tell whoever is listening and show the summary once the tiles are done transitioning.
+	 * @param {string} announcement - What to tell screen readers.
+	 * @param {Promise} animations - Resolves once the tiles are done transitioning (default: null, there's nothing to wait for).
+	 * @returns {Promise} Resolves once the summary is shown.
+	 */
+	endRound(announcement, animations=null) {
+		let rank = this.progress.recordRound(this.roundStats, this.options, this.sets.name)
+		this.hud.render(this.canvas.element, this.roundStats)
+		this.announcer.announce(announcement)
+		this.events.emit("roundCompleted", {roundStats: this.roundStats, rank: rank})
+		let roundStats = this.roundStats
+		let showSummary = () => {
+			if (this.roundStats === roundStats) { // Not off to another round already.
+				new RoundSummary(this.roundStats, rank).render(this.canvas.element, new KanaGamePlayAgainEvent(this), new KanaGameChangeSettingsEvent(this))
+			}
+		}
+		return (animations === null ? Promise.resolve(showSummary()) : animations.then(showSummary))
+	}
+	
 	/**
 	 * Goes through all tiles in the up state, checks what needs to be done and does it.
 	 * That means that if it finds the number of tiles needed to compare for a match,
 	 * it will do so, and if they match, change them to the matched state.
-	 * If they don't match, it'll leave them up, so the player can view them. The next
-	 * time a tile is flipped, it'll flip those tiles back to the down state.
+	 * If they don't match, it'll leave them up for a while, so the player can view them
+	 * (see processMismatch).
 	 */
 	processUpTiles() {
 		// Is the maximum number of up tiles needed for a match reached yet?
 		if (this.maxUpTilesNeededForMatchReached) {
 			if (this.upTilesAreMatching()) {
 				this.processMatch()
+			} else {
+				this.processMismatch()
+			}
+			if (!this.roundStats.isFinished) {
+				this.hud.render(this.canvas.element, this.roundStats)
 			}
-		}
-		if (this.maxUpTilesNeededForMatchExceeded) {
-			this.processMismatch() // Old tiles still lying around, so they were mismatched.
 		}
 	}
 	
@@ -1113,26 +6188,16 @@ class KanaGame extends Game {
 	}
 }
 
-/* Create an instance of KanaGame, configure the theme and run the game.*/
+/* Create an instance of KanaGame, configure the theme and run the game.
+ Scripts included after this one can follow the game with game.on (see KANA_GAME_EVENT_TYPES). */
 game = new KanaGame(
 	// HTML element the game is supposed to be rendered into.
 	new HtmlCanvas(document.getElementById("game")),
-	// Path to the pictogram collection we want to use.
-	"/pictogramcollections/romajihiraganakatakana.json",
-	// Theme config.
-	new GameTheme(
-		new GridTheme(
-			// TileTheme: upImg, downImg, matchedImg, code
-			//NOTE: For development purposes and because of a lack of img, tilebg fills for matchedImg for now.
-			new TileTheme(
-				"/img/tilefg.png",
-				"/img/tilebg.png",
-				"/img/tilebg.png",
-				HTML_UP_TILE_MARKUP,
-				HTML_DOWN_TILE_MARKUP,
-				HTML_MATCHED_TILE_MARKUP
-			)
-		)
-	)
+	// Path to the index of the pictogram collections to choose from.
+	"/pictogramcollections/index.json",
+	// Path to the index of the theme packs to choose from.
+	"/themes/index.json",
+	// Options to start out with. A seed in the URL (e.g. "?daily") makes for a reproducible board.
+	new KanaGameOptions({seed: seedFromQuery(window.location.search)})
 )
 game.run()
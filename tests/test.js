@@ -18,34 +18,40 @@ const FILE_TEST_VERIFICATION_CONTENT = `{
 `
 // Setup constants.
 const FILE_TEST_TESTCOLLECTION_FILEPATH = "/tests/testcollection.json"
+const FILE_TEST_TESTCOLLECTION_TEXT_FILEPATH = "/tests/testcollection.txt"
+const FILE_TEST_MISSING_FILEPATH = "/tests/missing.json"
+const COLLECTION_INDEX_FILEPATH = "/pictogramcollections/index.json"
+const KANA_COLLECTION_FILEPATH = "/pictogramcollections/romajihiraganakatakana.json"
+const THEME_INDEX_FILEPATH = "/themes/index.json"
 const DOMAIN = "kanamemo.localhost"
 
 // ======================================
 // Test functionality.
 
+// Tests may be async: setUp, test and tearDown are all awaited.
 class Test {
 	constructor(name){this.name = name}
 	setUp(){}
 	tearDown(){}
-	run(){
-		this.setUp()
-		let isOk = this.test()
+	async run(output){
+		await this.setUp()
+		let isOk = await this.test()
 		if (isOk) {
-			this.reportOk()
+			this.reportOk(output)
 		}
 		else {
-			this.reportFail()
+			this.reportFail(output)
 		}
-		this.tearDown()
+		await this.tearDown()
 		return isOk
 	}
 	test(){return False}
-	reportOk(){
-		document.write('<div class="testLine">OK: '+this.name+"</div>")
+	reportOk(output){
+		output.insertAdjacentHTML("beforeend", '<div class="testLine">OK: '+this.name+"</div>")
 		
 	}
-	reportFail(){
-		document.write('<div class="testLine">FAIL: '+this.name+"</div>")
+	reportFail(output){
+		output.insertAdjacentHTML("beforeend", '<div class="testLine">FAIL: '+this.name+"</div>")
 		
 	}
 }
@@ -59,16 +65,91 @@ class TestSet {
 	addTest(test){
 		this.tests.push(test)
 	}
-	run(){
-		document.write('<div class="testSetHeader">Running test set: '+this.name+'</div>')
-		document.write('<div class="testSetBody">')
+	async run(output){
+		output.insertAdjacentHTML("beforeend", '<div class="testSetHeader">Running test set: '+this.name+'</div>')
+		output.insertAdjacentHTML("beforeend", '<div class="testSetBody"></div>')
+		let body = output.lastElementChild
 		for (let i = 0; i < this.tests.length; i++){
-			this.tests[i].run()
+			await this.tests[i].run(body)
 		}
-		document.write('</div>')
 	}
 }
 
+/**
+ * Source of random numbers that returns the specified ones, in order, over and over.
+ */
+class SequenceRandom extends Random {
+	
+	/**
+	 * Create a SequenceRandom object.
+	 * @param {Array} numbers - The numbers to return, from 0 (inclusive) to 1 (exclusive).
+	 */
+	constructor(numbers) {
+		super()
+		this.numbers = numbers
+		this.index = 0
+	}
+	next() {
+		return this.numbers[this.index++ % this.numbers.length]
+	}
+}
+
+/**
+ * Clock whose time only changes when told to. Intervals are called as time advances past them.
+ */
+class FakeClock extends Clock {
+	constructor(time=0) {
+		super()
+		this.time = time
+		this.intervals = new Map()
+		this.nextId = 1
+	}
+	now() {return this.time}
+	advance(milliseconds) {
+		let end = this.time + milliseconds
+		let due = () => [...this.intervals.values()].filter(timer => timer.next <= end).sort((a, b) => a.next - b.next)[0]
+		for (let timer = due(); timer; timer = due()) {
+			this.time = timer.next
+			if (timer.interval === null) {
+				this.intervals.delete(timer.id)
+			} else {
+				timer.next += timer.interval
+			}
+			timer.callback()
+		}
+		this.time = end
+	}
+	setInterval(callback, interval) {
+		this.intervals.set(this.nextId, {id: this.nextId, callback: callback, interval: interval, next: this.time + interval})
+		return this.nextId++
+	}
+	clearInterval(id) {this.intervals.delete(id)}
+	setTimeout(callback, timeout) {
+		this.intervals.set(this.nextId, {id: this.nextId, callback: callback, interval: null, next: this.time + timeout})
+		return this.nextId++
+	}
+	clearTimeout(id) {this.intervals.delete(id)}
+}
+
+/**
+ * A KanaGame rendering into a detached-from-the-page element, keeping its progress in memory and playing no sound.
+ * @param {Object} element - DOM element to render into.
+ * @param {Array} pictogramSets - The pictogram sets of its only collection.
+ * @param {Clock} clock - The game's clock.
+ * @returns {KanaGame}
+ */
+function createTestGame(element, pictogramSets, clock) {
+	let theme = new GameTheme(new GridTheme(new TileTheme("", "", "")))
+	let progress = new ProgressTracker(new MemoryStore())
+	let game = new KanaGame(new HtmlCanvas(element), "", theme, new KanaGameOptions(), progress, progress.loadLearnerModel(clock), new SilentAudioPlayer())
+	let sets = new PictogramSets()
+	sets.name = "Test"
+	sets.push(...pictogramSets)
+	game.library = new CollectionLibrary([{path: "test", isDefault: true, sets: sets, problem: null}])
+	game.clock = clock
+	return game
+}
+
 // ======================================
 // Tests.
 
@@ -85,7 +166,7 @@ class KanaTest extends Test {
 
 class PopulateRandomPairsTest extends Test {
 	setUp() {
-		this.pictogramSets = new Array(4)
+		this.pictogramSets = new KanamemoArray()
 		this.pictogramSets.push(new KanaSet("a", "あ", "ア"))
 		this.pictogramSets.push(new KanaSet("i", "い", "イ"))
 		this.pictogramSets.push(new KanaSet("u", "う", "ウ"))
@@ -100,7 +181,7 @@ class PopulateRandomPairsTest extends Test {
 		return has
 	}
 	test() {
-		let grid = new Grid(2, 4)
+		let grid = new Grid(2, 4, new GridTheme(null))
 		let result = OK
 		
 		grid.populateRandomPairs(this.pictogramSets)
@@ -113,6 +194,22 @@ class PopulateRandomPairsTest extends Test {
 	}
 }
 
+class PopulateRandomPairsWithColumnsTest extends PopulateRandomPairsTest {
+	test() {
+		let grid = new Grid(2, 4, new GridTheme(null))
+		let result = OK
+		
+		grid.populateRandomPairs(this.pictogramSets, ["hiragana", "romaji"])
+		grid.tiles.forEach((tile) => {
+			if (!(tile.pictogram === tile.pictogramSet.getPictogram("hiragana")
+				|| tile.pictogram === tile.pictogramSet.getPictogram("romaji"))) {
+				result = FAIL
+			}
+		})
+		return result
+	}
+}
+
 class KanamemoArraySwapTest extends Test {
 	test() {
 		let result = OK
@@ -126,73 +223,890 @@ class KanamemoArraySwapTest extends Test {
 
 class KanamemoArrayShuffleTest extends Test {
 	test () {
-		// Preparations.
-		let result = OK
-		let array = new KanamemoArray(["a", "b", "c", "d"])
-		// Test generic array initialization.
-		if (!(array.length == 4)) {result = FAIL}
-		if (!(array.some(element => {return element == "a"}))) {result = FAIL}
-		if (!(array.some(element => {return element == "b"}))) {result = FAIL}
-		if (!(array.some(element => {return element == "c"}))) {result = FAIL}
-		if (!(array.some(element => {return element == "d"}))) {result = FAIL}
-		
-		// Shuffle & check array multiple times to minimize chance for test to fail randomly.
-		// The idea is that every index of the array should at least have contained either
-		// a, b, c or d at least once.
-		// For efficiency, we're running the test loop with index "i" inside another loop with
-		// index "r", whereas the "r" loop checks whether the randomization test inside the "i"
-		// loop has passed (all "found" array values are set to true). If not, it continues
-		// kicking off the "i" loop up to a set number of times, until it acknowledges
-		// actual failure and exits.
-		let found = new Array(4)
-		let randomizationTestResult;
-		// The two-dimensional "found" array to record test results.
-		found[0] = [false, false, false, false]
-		found[1] = [false, false, false, false]
-		found[2] = [false, false, false, false]
-		found[3] = [false, false, false, false]
-		for (let r = 0; r < 10; ++r) {
-			for (let i = 0; i < 10; ++i) {
-				let shuffledArray = array.shuffle()
-				// If shuffledArray[j] contains a character k (looped from ["a", "b", "c", "d"]),
-				// flag k in found[j] as "true". Do this enough times, and found should eventually
-				// fill up with "true" if the code we're testing is working as intended.
-				for (let j = 0; j < 4; ++j) {
-					for (let k = 0; k < 4; ++k) {
-						if (shuffledArray[j] == ["a", "b", "c", "d"][k]) {
-							found[j][k] = true
-							break
-						}
-					}
-				}
-			}
-			// OK or FAIL?
-			randomizationTestResult = OK
-			for (let i = 0; i < 4; ++i) {
-				for (let j = 0; j < 4; ++j) {
-					if (found[i][j] == false) {
-						randomizationTestResult = FAIL
-					}
-				}
+		let array = () => new KanamemoArray(["a", "b", "c", "d"])
+		if (array().length !== 4 || array().join("") !== "abcd") {return FAIL}
+		
+		// Each step swaps the last unshuffled element with the one the random number points at:
+		// always the first one for 0, always itself for numbers just below 1.
+		if (array().shuffle(new SequenceRandom([0])).join("") !== "bcda") {return FAIL}
+		if (array().shuffle(new SequenceRandom([0.99])).join("") !== "abcd") {return FAIL}
+		if (array().shuffle(new SequenceRandom([0.5, 0, 0.99])).join("") !== "dbac") {return FAIL}
+		
+		// Seeded, the order is always the same for the same seed.
+		let shuffled = [1, 2, 3, 4, 5, 6, 7, 8].map(seed => array().shuffle(new SeededRandom(seed)).join(""))
+		if (shuffled.join() !== "dbac,bdac,bdac,bcad,badc,dbac,cbda,cdba") {return FAIL}
+		return OK
+	}
+}
+
+class SeededRandomTest extends Test {
+	test() {
+		let a = SeededRandom.fromString("kana")
+		let b = SeededRandom.fromString("kana")
+		let c = SeededRandom.fromString("kanji")
+		let differs = false
+		for (let i = 0; i < 100; ++i) {
+			let number = a.next()
+			if (number !== b.next()) {return FAIL}
+			if (number < 0 || number >= 1) {return FAIL}
+			if (number !== c.next()) {differs = true}
+		}
+		if (!differs) {return FAIL}
+		return OK
+	}
+}
+
+class KanamemoArraySeededShuffleTest extends Test {
+	test() {
+		let first = new KanamemoArray(["a", "b", "c", "d", "e"]).shuffle(new SeededRandom(42))
+		let second = new KanamemoArray(["a", "b", "c", "d", "e"]).shuffle(new SeededRandom(42))
+		if (first.join("") !== second.join("")) {return FAIL}
+		if ([...first].sort().join("") !== "abcde") {return FAIL}
+		return OK
+	}
+}
+
+class SeededGridTest extends Test {
+	test() {
+		let pictogramSets = new KanamemoArray([
+			new KanaSet("a", "あ", "ア"),
+			new KanaSet("i", "い", "イ"),
+			new KanaSet("u", "う", "ウ"),
+			new KanaSet("e", "え", "エ")])
+		let boards = [1, 2].map(() => {
+			let grid = new Grid(2, 3, new GridTheme(null), 2, SeededRandom.fromString("daily-2026-10-19"))
+			grid.populate(pictogramSets)
+			return grid.tiles.map(tile => tile.pictogram).join("")
+		})
+		if (boards[0] !== boards[1]) {return FAIL}
+		if (seedFromQuery("?seed=abc") !== "abc") {return FAIL}
+		if (seedFromQuery("?daily", new Date(2026, 9, 19)) !== "daily-2026-10-19") {return FAIL}
+		if (seedFromQuery("") !== null) {return FAIL}
+		return OK
+	}
+}
+
+class GridIsCompleteTest extends Test {
+	test() {
+		let pictogramSets = new KanamemoArray([
+			new KanaSet("a", "あ", "ア"),
+			new KanaSet("i", "い", "イ"),
+			new KanaSet("u", "う", "ウ"),
+			new KanaSet("e", "え", "エ")])
+		let grid = new Grid(2, 4, new GridTheme(null))
+		grid.populate(pictogramSets)
+		if (grid.isComplete) {return FAIL}
+		grid.tiles.forEach((tile) => {tile.state = tile.MATCHED})
+		if (!grid.isComplete) {return FAIL}
+		return OK
+	}
+}
+
+class GridKeyboardNavigationTest extends Test {
+	setUp() {
+		this.element = document.createElement("div")
+		document.body.appendChild(this.element)
+	}
+	tearDown() {
+		this.element.remove()
+	}
+	test() {
+		let pictogramSets = new KanamemoArray([
+			new KanaSet("a", "あ", "ア"),
+			new KanaSet("i", "い", "イ"),
+			new KanaSet("u", "う", "ウ")])
+		let grid = new Grid(2, 3, new GridTheme(new TileTheme("", "", "")))
+		grid.populate(pictogramSets)
+		if (grid.getAdjacentTileIndex(1, 1, 0) !== 4 || grid.getAdjacentTileIndex(3, 0, -1) !== 3 || grid.getAdjacentTileIndex(5, 1, 1) !== 5) {return FAIL}
+		
+		// Rendered, it's a grid of rows of cells, only the first of which is tabbed into.
+		grid.render(this.element)
+		if (grid.element.getAttribute("role") !== "grid" || grid.element.querySelectorAll('[role="row"]').length !== 2) {return FAIL}
+		if (grid.element.querySelectorAll('[role="gridcell"][tabindex="-1"]').length !== 5 || grid.tiles[0].element.tabIndex !== 0) {return FAIL}
+		if (grid.tiles[0].element.getAttribute("aria-label") !== "Face down") {return FAIL}
+		
+		// Keys move the focus, and flip tiles, with the label following suit.
+		let game = {grid: grid}
+		grid.element.addEventListener("keydown", new KanaGameGridKeyEvent(game))
+		let flipped = null
+		grid.tiles.forEach(tile => tile.addOnClickHandlers(null, null, {handleEvent: () => {flipped = tile; tile.changeToUp()}}))
+		grid.focusTile(0)
+		let press = key => document.activeElement.dispatchEvent(new KeyboardEvent("keydown", {key: key, bubbles: true}))
+		press("ArrowRight")
+		press("S")
+		if (document.activeElement !== grid.tiles[4].element || grid.tiles[4].element.tabIndex !== 0 || grid.tiles[0].element.tabIndex !== -1) {return FAIL}
+		press("Enter")
+		let tile = grid.tiles[4]
+		if (flipped !== tile || document.activeElement !== tile.element) {return FAIL}
+		let column = tile.pictogramSet.getColumnDeclaration(tile.pictogram).label
+		if (tile.element.getAttribute("aria-label") !== tile.pictogram+" ("+column+"), face up") {return FAIL}
+		return OK
+	}
+}
+
+class TileTransitionTest extends Test {
+	setUp() {
+		this.element = document.createElement("div")
+		document.body.appendChild(this.element)
+	}
+	tearDown() {
+		this.element.remove()
+	}
+	async test() {
+		let tile = new Tile("tile0", "か", new KanaSet("ka", "か", "カ"), new TileTheme("", "", ""))
+		tile.render(this.element)
+		let element = tile.element
+		if (element.className !== "tile tileDown" || element.textContent.includes("か")) {return FAIL}
+		let clicked = []
+		tile.addOnClickHandlers({handleEvent: () => clicked.push("matched")}, {handleEvent: () => clicked.push("up")}, {handleEvent: () => clicked.push("down")})
+		element.click()
+		
+		// Flipping keeps the element, only changing its classes, and puts the pictogram on the up face.
+		await tile.changeToUp()
+		if (tile.element !== element || element.className !== "tile tileUp" || !element.querySelector(".tileUpFace").textContent.includes("か")) {return FAIL}
+		await tile.showMismatch()
+		if (element.className !== "tile tileUp tileMismatched") {return FAIL}
+		element.click()
+		
+		// Flipping down takes as long as the transitions set up for the tile, after which the pictogram is gone again.
+		element.querySelector(".tileInner").style.transitionDuration = "50ms"
+		if (getAnimationDuration(element) !== 50) {return FAIL}
+		let isFlipped = false
+		let flip = tile.changeToDown().then(() => {isFlipped = true})
+		if (isFlipped || element.className !== "tile tileDown" || !element.textContent.includes("か")) {return FAIL}
+		await flip
+		if (element.textContent.includes("か")) {return FAIL}
+		
+		await tile.changeToMatched()
+		element.click()
+		if (tile.element !== element || element.className !== "tile tileMatched" || clicked.join() !== "down,up,matched") {return FAIL}
+		return OK
+	}
+}
+
+class GridContainerTest extends Test {
+	setUp() {
+		this.element = document.createElement("div")
+		document.body.appendChild(this.element)
+	}
+	tearDown() {
+		this.element.remove()
+	}
+	test() {
+		let pictogramSets = new KanamemoArray([
+			new KanaSet("a", "あ", "ア"),
+			new KanaSet("i", "い", "イ"),
+			new KanaSet("u", "う", "ウ")])
+		let grids = [new Grid(2, 3, new GridTheme(new TileTheme("", "", ""))), new Grid(3, 2, new GridTheme(new TileTheme("", "", "")))]
+		grids.forEach(grid => {
+			grid.populate(pictogramSets)
+			grid.render(this.element)
+		})
+		
+		// Each grid is a container of its own, sized by its row and column counts, holding its own tiles.
+		if (grids[0].id === grids[1].id || this.element.querySelectorAll(".grid").length !== 2) {return FAIL}
+		if (grids[1].element.style.getPropertyValue("--grid-rows") !== "3" || grids[1].element.style.getPropertyValue("--grid-columns") !== "2") {return FAIL}
+		for (let grid of grids) {
+			if (!grid.tiles.every(tile => tile.element.closest(".grid") === grid.element)) {return FAIL}
+			if (grid.element.querySelectorAll(".tile").length !== 6) {return FAIL}
+		}
+		let ids = [...this.element.querySelectorAll("[id]")].map(element => element.id)
+		if (new Set(ids).size !== ids.length) {return FAIL}
+		
+		// They don't get in each other's way.
+		grids[1].tiles[5].changeToUp()
+		grids[1].focusTile(5)
+		if (!grids[0].tiles.every(tile => tile.isDown()) || grids[0].tiles[0].element.tabIndex !== 0) {return FAIL}
+		return OK
+	}
+}
+
+class TileTapTest extends Test {
+	setUp() {
+		this.element = document.createElement("div")
+		document.body.appendChild(this.element)
+	}
+	tearDown() {
+		this.element.remove()
+	}
+	async test() {
+		let tile = new Tile("tap", "a", new KanaSet("a", "あ", "ア"), new TileTheme("", "", ""))
+		tile.render(this.element)
+		let activations = []
+		let handler = {handleEvent: event => activations.push(event.type)}
+		tile.addOnClickHandlers(handler, handler, handler)
+		// jsdom has no PointerEvent; a MouseEvent of the same type does, as pointerId and isPrimary are left alone.
+		let dispatch = (type, init={}) => tile.element.dispatchEvent(new MouseEvent(type, {bubbles: true, ...init}))
+		let tap = () => {
+			dispatch("pointerdown")
+			dispatch("pointerup")
+			dispatch("click", {detail: 1})
+		}
+		
+		// A tap is acted upon once, as the pointer is released, and not again on the click following it.
+		tap()
+		if (activations.join() !== "pointerup") {return FAIL}
+		
+		// Another tap right away is taken for a double tap, but clicks from the keyboard still go through.
+		tap()
+		if (activations.length !== 1) {return FAIL}
+		tile.element.click()
+		if (activations.join() !== "pointerup,click") {return FAIL}
+		
+		// Neither cancelled presses nor other buttons tap.
+		await sleep(TILE_DOUBLE_TAP_INTERVAL)
+		dispatch("pointerdown")
+		dispatch("pointercancel")
+		dispatch("pointerup")
+		dispatch("pointerdown", {button: 2})
+		dispatch("pointerup", {button: 2})
+		if (activations.length !== 2) {return FAIL}
+		
+		// Once the moment has passed, a tap is acted upon again.
+		tap()
+		if (activations.join() !== "pointerup,click,pointerup") {return FAIL}
+		return OK
+	}
+}
+
+class RoundStatsElapsedTimeTest extends Test {
+	test() {
+		let stats = new RoundStats(1000)
+		if (stats.isFinished) {return FAIL}
+		stats.finish(84500)
+		if (!stats.isFinished) {return FAIL}
+		if (stats.elapsedTime !== 83500) {return FAIL}
+		if (formatDuration(stats.elapsedTime) !== "1:23") {return FAIL}
+		return OK
+	}
+}
+
+class RoundScoringTest extends Test {
+	test() {
+		let clock = new FakeClock(1000)
+		let stats = new RoundStats(clock.now(), 60000, clock)
+		stats.recordMismatch()
+		if (stats.score !== 0 || stats.moves !== 1) {return FAIL}
+		stats.recordMatch()
+		stats.recordMatch()
+		stats.recordMatch()
+		if (stats.score !== 3*SCORING_RULES.match + 3*SCORING_RULES.streakBonus || stats.bestStreak !== 3) {return FAIL}
+		stats.recordMismatch()
+		if (stats.streak !== 0 || stats.matches !== 3 || stats.mismatches !== 2) {return FAIL}
+		let score = stats.score
+		clock.advance(20500)
+		if (stats.remainingTime !== 39500 || stats.isTimeUp) {return FAIL}
+		// Finishing in time scores the seconds left.
+		stats.finish()
+		if (stats.score !== score + 39*SCORING_RULES.secondLeftBonus || stats.isTimedOut) {return FAIL}
+		clock.advance(60000)
+		if (stats.isTimeUp || new RoundStats(0, null, clock).isTimeUp) {return FAIL}
+		
+		// Scores make it into the high-score table of their collection and board size.
+		let progress = new ProgressTracker(new MemoryStore(), 100, 2)
+		let options = KanaGameOptions.fromPreset("easy")
+		let round = score => {
+			let stats = new RoundStats(0)
+			stats.score = score
+			stats.finish(1000)
+			return stats
+		}
+		if (progress.recordRound(round(100), options, "Kana") !== 1 || progress.recordRound(round(300), options, "Kana") !== 1) {return FAIL}
+		if (progress.recordRound(round(200), options, "Kana") !== 2 || progress.recordRound(round(50), options, "Kana") !== null) {return FAIL}
+		if (progress.recordRound(round(50), options, "Other") !== 1) {return FAIL}
+		let table = progress.highScores[ProgressTracker.highScoreTable("Kana", "2×3")]
+		if (table.map(entry => entry.score).join() !== "300,200") {return FAIL}
+		return OK
+	}
+}
+
+class TimedRoundTest extends Test {
+	setUp() {
+		this.element = document.createElement("div")
+		document.body.appendChild(this.element)
+	}
+	tearDown() {
+		this.element.remove()
+	}
+	async test() {
+		let clock = new FakeClock(1000)
+		let game = createTestGame(this.element, [
+			new KanaSet("a", "あ", "ア"),
+			new KanaSet("i", "い", "イ"),
+			new KanaSet("u", "う", "ウ")], clock)
+		game.start(KanaGameOptions.fromPreset("easy", {timeLimit: "1min", pairing: "hiragana-romaji", seed: "timed"}))
+		let hud = () => this.element.querySelector(".hud").textContent.replace(/\s+/g, " ").trim()
+		if (hud() !== "Score: 0 Streak: 0 Moves: 0 Time left: 1:00") {return FAIL}
+		
+		// A match scores, and shows on the HUD.
+		let [first, second] = game.grid.tiles.filter(tile => tile.pictogramSet === game.grid.tiles[0].pictogramSet)
+		first.element.click()
+		second.element.click()
+		clock.advance(30000)
+		if (hud() !== "Score: 100 Streak: 1 Moves: 1 Time left: 0:30") {return FAIL}
+		
+		// Once time runs out, the round is over: tiles can't be flipped anymore, and it doesn't count for best times.
+		clock.advance(30000)
+		if (!game.roundStats.isTimedOut || this.element.querySelector(".roundSummaryTitle").textContent !== "Time's up!") {return FAIL}
+		let down = game.grid.tiles.find(tile => tile.isDown())
+		down.element.click()
+		if (!down.isDown() || game.ticker !== null) {return FAIL}
+		if (!game.progress.rounds[0].timedOut || Object.keys(game.progress.bestTimes).length !== 0) {return FAIL}
+		if (game.progress.highScores[ProgressTracker.highScoreTable("Test", "2×3")][0].score !== 100) {return FAIL}
+		
+		// Mismatched tiles on display as time runs out stay up, whatever is clicked.
+		game.start(KanaGameOptions.fromPreset("easy", {timeLimit: "1min", pairing: "hiragana-romaji", reveal: "long", seed: "timed"}))
+		clock.advance(59500)
+		first = game.grid.tiles[0]
+		second = game.grid.tiles.find(tile => !tile.isInSameSetAs(first))
+		first.element.click()
+		second.element.click()
+		await game.mismatchReveal
+		clock.advance(500)
+		if (!game.roundStats.isTimedOut || game.isRevealingMismatch) {return FAIL}
+		first.element.click()
+		clock.advance(5000)
+		if (!first.isUp() || !second.isUp()) {return FAIL}
+		return OK
+	}
+}
+
+class MismatchRevealTest extends Test {
+	setUp() {
+		this.element = document.createElement("div")
+		document.body.appendChild(this.element)
+	}
+	tearDown() {
+		this.element.remove()
+	}
+	async test() {
+		let clock = new FakeClock(1000)
+		let game = createTestGame(this.element, [
+			new KanaSet("a", "あ", "ア"),
+			new KanaSet("i", "い", "イ"),
+			new KanaSet("u", "う", "ウ")], clock)
+		let mismatch = async () => {
+			let first = game.grid.tiles[0]
+			let second = game.grid.tiles.find(tile => !tile.isInSameSetAs(first))
+			first.element.click()
+			second.element.click()
+			await game.mismatchReveal // The reveal duration counts from when the tiles are done flipping.
+			return [first, second]
+		}
+		
+		// Mismatched tiles stay up for the reveal duration, and clicks meanwhile are ignored.
+		game.start(KanaGameOptions.fromPreset("easy", {pairing: "hiragana-romaji", reveal: "normal", dismissRevealOnClick: false, seed: "reveal"}))
+		let [first, second] = await mismatch()
+		if (!game.isRevealingMismatch || game.roundStats.mismatches !== 1) {return FAIL}
+		if (!first.element.classList.contains("tileMismatched")) {return FAIL}
+		let third = game.grid.tiles.find(tile => tile.isDown())
+		third.element.click()
+		if (!third.isDown() || game.upTiles.length !== 2 || game.roundStats.moves !== 1) {return FAIL}
+		clock.advance(999)
+		if (!first.isUp() || !second.isUp()) {return FAIL}
+		clock.advance(1)
+		if (!first.isDown() || !second.isDown() || game.isRevealingMismatch || game.upTiles.length !== 0) {return FAIL}
+		third.element.click()
+		if (!third.isUp()) {return FAIL}
+		
+		// If the options allow, a click hides them early, without flipping anything else.
+		game.start(KanaGameOptions.fromPreset("easy", {pairing: "hiragana-romaji", reveal: "long", seed: "reveal"}))
+		;[first, second] = await mismatch()
+		third = game.grid.tiles.find(tile => tile.isDown())
+		third.element.click()
+		if (!first.isDown() || !second.isDown() || !third.isDown() || game.isRevealingMismatch) {return FAIL}
+		clock.advance(2000)
+		if (game.upTiles.length !== 0 || clock.intervals.size !== 1) {return FAIL} // Only the HUD ticker is left.
+		
+		// Starting a new round calls off the reveal of the last one.
+		let reveal = mismatch()
+		game.playAgain()
+		await reveal
+		if (game.isRevealingMismatch || clock.intervals.size !== 1) {return FAIL}
+		return OK
+	}
+}
+
+class PopulateRandomGroupsTest extends Test {
+	test() {
+		let pictogramSets = new KanamemoArray([
+			new KanaSet("a", "あ", "ア"),
+			new KanaSet("i", "い", "イ"),
+			new KanaSet("u", "う", "ウ"),
+			new KanaSet("e", "え", "エ")])
+		let grid = new Grid(2, 3, new GridTheme(null), 3)
+		grid.populate(pictogramSets)
+		for (let tile of grid.tiles) {
+			let tilesOfSameSet = grid.tiles.filter(otherTile => otherTile.isInSameSetAs(tile))
+			if (tilesOfSameSet.length !== 3) {return FAIL}
+			if (new Set(tilesOfSameSet.map(otherTile => otherTile.pictogram)).size !== 3) {return FAIL}
+		}
+		return OK
+	}
+}
+
+class KanaGameOptionsProblemsTest extends Test {
+	hasOnlyTag(options, pictogramSets, tag) {
+		let problems = options.problems(pictogramSets)
+		return problems.length === 1 && problems[0].tags.includes(tag)
+	}
+	test() {
+		let pictogramSets = new KanamemoArray([
+			new KanaSet("a", "あ", "ア"),
+			new KanaSet("i", "い", "イ"),
+			new KanaSet("u", "う", "ウ"),
+			new KanaSet("e", "え", "エ")])
+		if (KanaGameOptions.fromPreset("easy").problems(pictogramSets).length !== 0) {return FAIL}
+		if (!this.hasOnlyTag(KanaGameOptions.fromPreset("hard"), pictogramSets, "NOT_ENOUGH_SETS")) {return FAIL}
+		if (!this.hasOnlyTag(new KanaGameOptions({rows: 1, columns: 3}), pictogramSets, "INDIVISIBLE_BOARD")) {return FAIL}
+		if (!this.hasOnlyTag(new KanaGameOptions({rows: 2, columns: 2, tilesPerMatch: 4}), pictogramSets, "MATCH_TOO_LARGE")) {return FAIL}
+		if (!this.hasOnlyTag(new KanaGameOptions({rows: 0}), pictogramSets, "INVALID_DIMENSIONS")) {return FAIL}
+		if (!this.hasOnlyTag(KanaGameOptions.fromPreset("easy", {pairing: "kanji"}), pictogramSets, "UNKNOWN_PAIRING")) {return FAIL}
+		if (!this.hasOnlyTag(KanaGameOptions.fromPreset("easy", {pairing: "hiragana-romaji", tilesPerMatch: 3}), pictogramSets, "MATCH_TOO_LARGE")) {return FAIL}
+		return OK
+	}
+}
+
+class PictogramSetsFilterByGroupsTest extends Test {
+	test() {
+		let pictogramSets = new PictogramSets()
+		pictogramSets.groups = [{name: "vowels", label: "Vowels"}, {name: "k-row", label: "K row"}, {name: "dakuten", label: "Dakuten"}]
+		pictogramSets.push(new KanaSet("a", "あ", "ア", ["vowels"]))
+		pictogramSets.push(new KanaSet("ka", "か", "カ", ["k-row"]))
+		pictogramSets.push(new KanaSet("ga", "が", "ガ", ["k-row", "dakuten"]))
+		let filtered = pictogramSets.filterByGroups(["k-row"])
+		if (filtered.length !== 1 || filtered[0].romaji !== "ka") {return FAIL}
+		if (filtered.groups !== pictogramSets.groups) {return FAIL}
+		if (pictogramSets.filterByGroups(["k-row", "dakuten"]).length !== 2) {return FAIL}
+		let options = KanaGameOptions.fromPreset("easy", {groups: ["vowels", "k-row"]})
+		if (options.problems(pictogramSets)[0].tags[0] !== "NOT_ENOUGH_SETS") {return FAIL}
+		options = KanaGameOptions.fromPreset("easy", {groups: ["hiragana"]})
+		if (options.problems(pictogramSets)[0].tags[0] !== "UNKNOWN_GROUP") {return FAIL}
+		return OK
+	}
+}
+
+class MatchingStrategiesTest extends Test {
+	test() {
+		let jiS = new KanaSet("ji", "じ", "ジ", [], "ji")
+		let jiT = new KanaSet("ji", "ぢ", "ヂ", [], "ji")
+		let zuS = new KanaSet("zu", "ず", "ズ", [], "zu")
+		let romajiJi = new Tile(0, "ji", jiS, null)
+		let hiraganaDi = new Tile(1, "ぢ", jiT, null)
+		let katakanaZu = new Tile(2, "ズ", zuS, null)
+		
+		if (new IdentityMatchingStrategy().areMatching([romajiJi, hiraganaDi])) {return FAIL}
+		if (!new SharedKeyMatchingStrategy("romaji").areMatching([romajiJi, hiraganaDi])) {return FAIL}
+		if (new SharedKeyMatchingStrategy("hiragana").areMatching([romajiJi, hiraganaDi])) {return FAIL}
+		if (!new EquivalenceClassMatchingStrategy().areMatching([romajiJi, hiraganaDi])) {return FAIL}
+		if (new EquivalenceClassMatchingStrategy().areMatching([romajiJi, katakanaZu])) {return FAIL}
+		return OK
+	}
+}
+
+class PopulateWithoutLookalikesTest extends Test {
+	test() {
+		let pictogramSets = new KanamemoArray([
+			new KanaSet("ji", "じ", "ジ", [], "ji"),
+			new KanaSet("ji", "ぢ", "ヂ", [], "ji")])
+		// Both sets have "ji" for romaji, so it may only show up once per board.
+		for (let i = 0; i < 20; ++i) {
+			let grid = new Grid(1, 4, new GridTheme(null))
+			grid.populate(pictogramSets)
+			let pictograms = grid.tiles.map(tile => tile.pictogram)
+			if (new Set(pictograms).size !== 4) {return FAIL}
+		}
+		return OK
+	}
+}
+
+class PopulateLookalikeShortageTest extends Test {
+	setUp() {
+		this.element = document.createElement("div")
+		document.body.appendChild(this.element)
+	}
+	tearDown() {
+		this.element.remove()
+	}
+	test() {
+		let ji = new KanaSet("ji", "じ", "ジ", [], "ji")
+		let dji = new KanaSet("ji", "ぢ", "ヂ", [], "ji")
+		let a = new KanaSet("a", "あ", "ア")
+		let u = new KanaSet("u", "う", "ウ")
+		let options = KanaGameOptions.fromPreset("easy", {pairing: "hiragana-romaji", population: "random"})
+		
+		// Only one of the "ji" sets fits on a board showing romaji, so three sets can't fill an easy board.
+		if (Grid.countPlaceableSets([ji, dji, a], 2, options.pairingColumns) !== 2) {return FAIL}
+		let sets = new PictogramSets()
+		sets.push(ji, dji, a)
+		if (!options.problems(sets).some(problem => problem.tags.includes("NOT_ENOUGH_SETS"))) {return FAIL}
+		let game = createTestGame(this.element, [ji, dji, a], new FakeClock())
+		try {
+			game.start(options)
+			return FAIL
+		} catch (message) {
+			if (game.grid !== null) {return FAIL}
+		}
+		
+		// Should the grid be populated anyway, it says so rather than leave holes.
+		try {
+			new Grid(2, 3, new GridTheme(null), 2, SeededRandom.fromString("holes")).populate([ji, dji, a], options.pairingColumns)
+			return FAIL
+		} catch (error) {
+			if (!(error instanceof GameOptionsError && error.tags.includes("NOT_ENOUGH_SETS"))) {return FAIL}
+		}
+		
+		// With another set, the grid is full whichever "ji" set is drawn.
+		sets.push(u)
+		if (options.problems(sets).length !== 0) {return FAIL}
+		for (let seed = 0; seed < 20; ++seed) {
+			let grid = new Grid(2, 3, new GridTheme(null), 2, new SeededRandom(seed))
+			grid.populate([ji, dji, a, u], options.pairingColumns)
+			if (!grid.tiles.every(tile => tile instanceof Tile)) {return FAIL}
+		}
+		return OK
+	}
+}
+
+class LeitnerLearnerModelTest extends Test {
+	test() {
+		let clock = new FakeClock(1000)
+		let model = new LeitnerLearnerModel(clock)
+		let ka = new KanaSet("ka", "か", "カ")
+		let ki = new KanaSet("ki", "き", "キ")
+		
+		// Unseen sets are due.
+		if (!model.isDue(ka) || model.hasSeen(ka)) {return FAIL}
+		// A success moves "ka" to box 2, which isn't due before its interval has passed.
+		model.recordSuccess(ka)
+		if (model.records[ka.key].box !== 2 || model.isDue(ka)) {return FAIL}
+		clock.advance(LEITNER_BOX_INTERVALS[1] - 1)
+		if (model.isDue(ka)) {return FAIL}
+		clock.advance(1)
+		if (!model.isDue(ka)) {return FAIL}
+		// A failure sends "ki" back to box 1, due right away and weighing more than "ka".
+		model.recordSuccess(ki)
+		model.recordFailure(ki)
+		if (model.records[ki.key].box !== 1 || !model.isDue(ki)) {return FAIL}
+		if (model.errorRate(ki) !== 0.5) {return FAIL}
+		if (!(model.weight(ki) > model.weight(ka))) {return FAIL}
+		// Records survive a round trip through JSON.
+		let restored = new LeitnerLearnerModel(clock, JSON.parse(JSON.stringify(model)))
+		if (restored.weight(ki) !== model.weight(ki)) {return FAIL}
+		return OK
+	}
+}
+
+class LearnerPopulationStrategyTest extends Test {
+	test() {
+		let clock = new FakeClock()
+		let model = new LeitnerLearnerModel(clock)
+		let pictogramSets = new KanamemoArray([
+			new KanaSet("a", "あ", "ア"),
+			new KanaSet("i", "い", "イ"),
+			new KanaSet("u", "う", "ウ"),
+			new KanaSet("e", "え", "エ")])
+		// Everything but "e" is mastered and not due, so "e" weighs 8, and the others 1/5 each.
+		for (let i = 0; i < 4; ++i) {
+			model.recordSuccess(pictogramSets[0])
+			model.recordSuccess(pictogramSets[1])
+			model.recordSuccess(pictogramSets[2])
+		}
+		model.recordFailure(pictogramSets[3])
+		let strategy = new LearnerPopulationStrategy(model)
+		let romaji = ordered => ordered.map(pictogramSet => pictogramSet.romaji).join("")
+		
+		// With the same random number for every set, the heaviest comes first.
+		if (romaji(strategy.order(pictogramSets, new SequenceRandom([0.5]))) !== "eaiu") {return FAIL}
+		// A low enough number still puts it last: 0.01^(1/8) is about 0.56, below 0.99^5 (about 0.95).
+		if (romaji(strategy.order(pictogramSets, new SequenceRandom([0.99, 0.99, 0.99, 0.01]))) !== "aiue") {return FAIL}
+		// Seeded, "e" comes first for most boards.
+		let firstPicks = [...Array(100).keys()].filter(seed => strategy.order(pictogramSets, new SeededRandom(seed))[0] === pictogramSets[3]).length
+		if (firstPicks !== 91) {return FAIL}
+		return OK
+	}
+}
+
+class ProgressTrackerTest extends Test {
+	test() {
+		let progress = new ProgressTracker(new MemoryStore())
+		let options = KanaGameOptions.fromPreset("easy")
+		let slowRound = new RoundStats(0)
+		slowRound.finish(60000)
+		let fastRound = new RoundStats(0)
+		fastRound.finish(30000)
+		progress.recordRound(slowRound, options)
+		progress.recordRound(fastRound, options)
+		progress.recordRound(slowRound, options)
+		if (progress.rounds.length !== 3) {return FAIL}
+		if (progress.bestTimes["2×3"] !== 30000) {return FAIL}
+		
+		let learnerModel = progress.loadLearnerModel(new FakeClock())
+		learnerModel.recordSuccess(new KanaSet("a", "あ", "ア"))
+		progress.saveLearnerModel(learnerModel)
+		
+		// Export into another tracker, as if moving to another browser.
+		let otherProgress = new ProgressTracker(new MemoryStore())
+		otherProgress.import(progress.export())
+		let summary = otherProgress.summarize()
+		if (summary.roundCount !== 3 || summary.sets.length !== 1) {return FAIL}
+		if (summary.sets[0].accuracy !== 1 || summary.sets[0].bestStreak !== 1) {return FAIL}
+		
+		// Anything but exported progress is refused, before anything is replaced.
+		let invalid = [
+			'{"rounds": []}',
+			'null',
+			'[]',
+			'{"kanamemoProgress": 1, "rounds": [], "bestTimes": {}, "learner": null}',
+			'{"kanamemoProgress": 1, "rounds": [], "bestTimes": null, "learner": {}}',
+			'{"kanamemoProgress": 1, "rounds": [], "bestTimes": {}, "learner": {"a|あ|ア": null}}',
+			'{"kanamemoProgress": 1, "rounds": [], "bestTimes": {}, "learner": {"a|あ|ア": {"box": 0, "due": 0, "successes": 0, "failures": 0, "streak": 0}}}',
+			'{"kanamemoProgress": 1, "rounds": [], "bestTimes": {}, "highScores": {"t": null}, "learner": {}}',
+			'{"kanamemoProgress": 1, "rounds": [null], "bestTimes": {}, "learner": {}}',
+			'{"kanamemoProgress": 1, "rounds": [], "bestTimes": {"2×3": "fast"}, "learner": {}}']
+		for (let json of invalid) {
+			try {
+				otherProgress.import(json)
+				return FAIL
+			} catch (error) {
+				if (!(error instanceof ProgressError && error.tags.includes("INVALID_IMPORT"))) {return FAIL}
 			}
-			if (randomizationTestResult) {
-				break
+		}
+		if (otherProgress.rounds.length !== 3 || otherProgress.summarize().sets.length !== 1) {return FAIL}
+		otherProgress.loadLearnerModel(new FakeClock())
+		
+		// A corrupted value in the browser's storage is as good as none.
+		let storage = {"kanamemo.rounds": "[{", getItem: key => storage[key] || null, setItem: (key, value) => storage[key] = value}
+		let browserProgress = new ProgressTracker(new BrowserStore(storage))
+		if (browserProgress.rounds.length !== 0) {return FAIL}
+		browserProgress.recordRound(fastRound, options)
+		if (new ProgressTracker(new BrowserStore(storage)).rounds.length !== 1) {return FAIL}
+		return OK
+	}
+}
+
+class StatsScreenTest extends Test {
+	setUp() {
+		this.element = document.createElement("div")
+		document.body.appendChild(this.element)
+	}
+	tearDown() {
+		this.element.remove()
+	}
+	test() {
+		let game = createTestGame(this.element, [new KanaSet("a", "あ", "ア")], new FakeClock())
+		let hostile = "<img src=x onerror=alert(1)>"
+		game.importProgress(JSON.stringify({kanamemoProgress: 1, rounds: [], bestTimes: {[hostile]: 1000}, highScores: {[hostile]: []}, learner: {}}))
+		
+		// What's imported shows as text, never as markup.
+		if (this.element.querySelector(".statsScreen img") !== null) {return FAIL}
+		if (![...this.element.querySelectorAll(".statsLine")].some(line => line.textContent.startsWith(hostile+": "))) {return FAIL}
+		
+		// Progress that isn't valid is refused, and the statistics still show.
+		game.importProgress('{"kanamemoProgress": 1, "rounds": [], "bestTimes": {}, "learner": {"a|あ|ア": null}}')
+		if (!this.element.querySelector(".statsMessage").textContent.startsWith("Import failed:")) {return FAIL}
+		if (this.element.querySelector(".statsScreen") === null || game.learnerModel.hasSeen(new KanaSet("a", "あ", "ア"))) {return FAIL}
+		game.showStats("Import failed: "+hostile)
+		if (this.element.querySelector(".statsMessage").textContent !== "Import failed: "+hostile) {return FAIL}
+		return OK
+	}
+}
+
+class HapticsTest extends Test {
+	setUp() {
+		this.element = document.createElement("div")
+		document.body.appendChild(this.element)
+	}
+	tearDown() {
+		this.element.remove()
+	}
+	async test() {
+		// Without the Vibration API, nothing happens.
+		if (new Haptics(null).isAvailable || new Haptics(null).play("match")) {return FAIL}
+		if (new Haptics(pattern => {throw "NotAllowedError"}).play("match")) {return FAIL}
+		
+		// Tiles flipped, matched and mismatched are felt.
+		let vibrations = []
+		let game = createTestGame(this.element, [
+			new KanaSet("a", "あ", "ア"),
+			new KanaSet("i", "い", "イ"),
+			new KanaSet("u", "う", "ウ")], new FakeClock(1000))
+		game.haptics = new Haptics(pattern => vibrations.push(pattern))
+		game.start(KanaGameOptions.fromPreset("easy", {pairing: "hiragana-romaji", seed: "haptics"}))
+		let first = game.grid.tiles[0]
+		first.element.click()
+		game.grid.tiles.find(tile => tile !== first && tile.isInSameSetAs(first)).element.click()
+		if (JSON.stringify(vibrations) !== JSON.stringify([VIBRATION_PATTERNS.flip, VIBRATION_PATTERNS.flip, VIBRATION_PATTERNS.match])) {return FAIL}
+		vibrations.length = 0
+		let down = game.grid.tiles.filter(tile => tile.isDown())
+		down[0].element.click()
+		down.find(tile => !tile.isInSameSetAs(down[0])).element.click()
+		if (vibrations[vibrations.length - 1] !== VIBRATION_PATTERNS.mismatch) {return FAIL}
+		return OK
+	}
+}
+
+class EventBusTest extends Test {
+	test() {
+		let bus = new EventBus(["tick", "tock"])
+		let heard = []
+		let listener = {handleEvent: event => heard.push("object "+event.detail.count)}
+		let stop = bus.on("tick", event => heard.push(event.type+" "+event.detail.count))
+		bus.on("tick", () => {throw "Broken listener"})
+		bus.on("tick", () => Promise.reject("Broken listener"))
+		bus.on("tick", listener)
+		
+		// Listeners, functions or objects, are called in order, and one failing doesn't keep the others from it.
+		let event = bus.emit("tick", {count: 1})
+		if (!(event instanceof GameEvent) || heard.join() !== "tick 1,object 1") {return FAIL}
+		bus.emit("tock")
+		if (heard.length !== 2) {return FAIL}
+		
+		// Listeners can be stopped.
+		stop()
+		bus.off("tick", listener)
+		bus.off("tock", listener)
+		bus.emit("tick", {count: 2})
+		if (heard.length !== 2) {return FAIL}
+		
+		// There are only the types the bus was created with.
+		for (let attempt of [() => bus.on("tack", listener), () => bus.emit("tack")]) {
+			try {
+				attempt()
+				return FAIL
+			} catch (error) {
+				if (!(error instanceof EventBusError && error.tags.includes("UNKNOWN_EVENT_TYPE"))) {return FAIL}
 			}
 		}
-		result = randomizationTestResult
-		return result
+		return OK
 	}
 }
 
-class FileHttpTest extends Test {
+class KanaGameEventsTest extends Test {
 	setUp() {
+		this.element = document.createElement("div")
+		document.body.appendChild(this.element)
+	}
+	tearDown() {
+		this.element.remove()
+	}
+	async test() {
+		let clock = new FakeClock(1000)
+		let pictogramSets = [
+			new KanaSet("a", "あ", "ア"),
+			new KanaSet("i", "い", "イ"),
+			new KanaSet("u", "う", "ウ")]
+		let game = createTestGame(this.element, pictogramSets, clock)
+		let events = []
+		KANA_GAME_EVENT_TYPES.forEach(type => game.on(type, event => events.push(event)))
+		let types = () => events.map(event => event.type).join()
+		let completed = []
+		this.element.addEventListener("roundcompleted", event => completed.push(event.detail))
+		
+		// A round, from start to finish.
+		game.start(KanaGameOptions.fromPreset("easy", {pairing: "hiragana-romaji", reveal: "short", seed: "events"}))
+		if (types() !== "roundStarted" || events[0].detail.grid !== game.grid || events[0].detail.roundStats !== game.roundStats) {return FAIL}
+		let first = game.grid.tiles[0]
+		let other = game.grid.tiles.find(tile => !tile.isInSameSetAs(first))
+		first.element.click()
+		other.element.click()
+		await game.mismatchReveal
+		clock.advance(500)
+		if (types() !== "roundStarted,tileFlipped,tileFlipped,mismatch" || events[1].detail.tile !== first) {return FAIL}
+		let mismatch = events[3].detail
+		if (mismatch.tiles.length !== 2 || !mismatch.pictogramSets.includes(first.pictogramSet) || mismatch.roundStats !== game.roundStats) {return FAIL}
+		for (let pictogramSet of pictogramSets) {
+			game.grid.tiles.filter(tile => tile.pictogramSet === pictogramSet).forEach(tile => tile.element.click())
+		}
+		if (types() !== "roundStarted,tileFlipped,tileFlipped,mismatch"+",tileFlipped,tileFlipped,matchFound".repeat(3)+",roundCompleted") {return FAIL}
+		if (events[events.length - 1].detail.roundStats !== game.roundStats || events[events.length - 1].detail.rank !== 1) {return FAIL}
+		if (completed.length !== 1 || completed[0] !== game.roundStats) {return FAIL}
+		
+		// The learner model learns from the matches and mismatches, whoever listens.
+		if (game.learnerModel.getRecord(first.pictogramSet).failures !== 1 || game.learnerModel.getRecord(first.pictogramSet).successes !== 1) {return FAIL}
+		
+		// Loading the collections is an event too.
+		events = []
+		game.collection = COLLECTION_INDEX_FILEPATH
+		await game.load()
+		if (types() !== "collectionLoaded" || events[0].detail.library !== game.library) {return FAIL}
+		return OK
+	}
+}
+
+class AudioPlayerTest extends Test {
+	async test() {
+		// Recordings are declared per set, relative to the collection file.
+		let text = "Sounds\n\n%%TABLE: START%%\nka\tか\tカ\t%audio=audio/ka.mp3\nki\tき\tキ\n%%TABLE: END%%\n"
+		let collection = TextCollectionFile.parseCollection(text)
+		if (collection.sets[0].audio !== "audio/ka.mp3" || TextCollectionFile.serializeCollection(collection) !== text) {return FAIL}
+		let [ka, ki] = PictogramSets.parse(text, "/pictogramcollections/sounds.txt")
+		if (ka.audio !== "/pictogramcollections/audio/ka.mp3" || ki.audio !== null) {return FAIL}
+		if (resolveRelativePath("https://example.com/ka.mp3", "/a/b.json") !== "https://example.com/ka.mp3") {return FAIL}
+		if (new CollectionValidator().check({name: "Sounds", sets: [{pictograms: ["ka", "か", "カ"], audio: ""}]}).length !== 1) {return FAIL}
+		
+		// Sets without a recording, or with one that can't be played, are left to the fallback.
+		let created = []
+		let failing = false
+		let createAudio = url => {
+			let audio = {url: url, volume: null, play: () => (failing ? Promise.reject("NotSupportedError") : Promise.resolve()), pause: () => {}}
+			created.push(audio)
+			return audio
+		}
+		let fallback = new SilentAudioPlayer()
+		let player = new CollectionAudioPlayer(fallback, createAudio)
+		if (!(await player.play(ka, 0.5)) || created[0].url !== ka.audio || created[0].volume !== 0.5 || fallback.played.length !== 0) {return FAIL}
+		await player.play(ki, 0.5)
+		failing = true
+		await player.play(ka, 0.5)
+		if (fallback.played.length !== 2 || fallback.played[0] !== ki || fallback.played[1] !== ka) {return FAIL}
+		
+		// A recording still loading when the next tile is flipped is stopped, not read aloud instead.
+		let loading = []
+		player = new CollectionAudioPlayer(fallback, url => {
+			let audio = {url: url, volume: null, pause: () => audio.abort("AbortError")}
+			audio.play = () => new Promise((resolve, reject) => {
+				audio.abort = reject
+				loading.push(resolve)
+			})
+			return audio
+		})
+		fallback.played = []
+		let first = player.play(ka, 0.5)
+		let second = player.play(ki, 0.5)
+		await second
+		if (await first || fallback.played.length !== 1 || fallback.played[0] !== ki) {return FAIL}
+		let third = player.play(ka, 0.5)
+		loading[loading.length - 1]()
+		if (!(await third) || fallback.played.length !== 1) {return FAIL}
+		
+		// Speech reads the Japanese script, not romaji.
+		if (new SpeechAudioPlayer(null).getText(ka) !== "か" || await new SpeechAudioPlayer(null).play(ka, 1)) {return FAIL}
+		if (new SpeechAudioPlayer(null).getText(new PictogramSet(["one", "1"], ["word", "number"])) !== null) {return FAIL}
+		
+		// Settings are kept between sessions.
+		let store = new MemoryStore()
+		let settings = new AudioSettings(store)
+		if (settings.muted || settings.volume !== 1) {return FAIL}
+		settings.setMuted(true)
+		settings.setVolume(1.5)
+		settings = new AudioSettings(store)
+		if (!settings.muted || settings.volume !== 1) {return FAIL}
+		return OK
+	}
+}
+
+class FileHttpTest extends Test {
+	async setUp() {
 		this.file = new File(FILE_TEST_TESTCOLLECTION_FILEPATH, "HTTP")
+		await this.file.open()
 	}
 }
 
 class FileHttpJsonTest extends Test {
-	setUp() {
+	async setUp() {
 		this.file = new JsonFile(FILE_TEST_TESTCOLLECTION_FILEPATH, "HTTP")
+		await this.file.open()
 	}
 }
 
@@ -256,17 +1170,457 @@ class FileHttpGetJsonTest extends FileHttpJsonTest {
 	}
 }
 
+class FileHttpErrorTagsTest extends Test {
+	async test() {
+		// A missing file is a bad status, and specifically not found.
+		try {
+			await new File(FILE_TEST_MISSING_FILEPATH, "HTTP").open()
+			return FAIL
+		} catch (error) {
+			if (!(error instanceof FileError && error.tags.includes("BAD_STATUS") && error.tags.includes("NOT_FOUND"))) {return FAIL}
+		}
+		
+		// Content that isn't JSON is reported as such.
+		let file = new JsonFile(FILE_TEST_TESTCOLLECTION_TEXT_FILEPATH, "HTTP")
+		await file.open()
+		try {
+			file.getJson()
+			return FAIL
+		} catch (error) {
+			if (!(error instanceof FileError && error.tags.includes("MALFORMED_JSON"))) {return FAIL}
+		}
+		return OK
+	}
+}
+
+class TextCollectionFileTest extends Test {
+	async test() {
+		let file = new TextCollectionFile(FILE_TEST_TESTCOLLECTION_TEXT_FILEPATH, "HTTP")
+		await file.open()
+		let collection = file.getCollection()
+		let jsonCollection = JSON.parse(FILE_TEST_VERIFICATION_CONTENT)
+		if (JSON.stringify(collection) !== JSON.stringify(jsonCollection)) {return FAIL}
+		
+		// Written back, it's the same file.
+		if (TextCollectionFile.serializeCollection(jsonCollection) !== file.getContent()) {return FAIL}
+		return OK
+	}
+}
+
+class TextCollectionFileErrorsTest extends Test {
+	test() {
+		let failingLine = content => {
+			try {
+				TextCollectionFile.parseCollection(content, "test.txt")
+			} catch (error) {
+				if (!(error instanceof FileError && error.tags.includes("MALFORMED_TEXT"))) {return null}
+				return Number(error.message.match(/line (\d+)/)[1])
+			}
+			return null
+		}
+		let table = rows => "Name\nDescription\n%%TABLE: START%%\n"+rows.join("\n")+"\n%%TABLE: END%%\n"
+		
+		if (failingLine("%%TABLE: START%%\n%%TABLE: END%%") !== 1) {return FAIL}
+		if (failingLine(table(["A\tB", "C\tD\tE"])) !== 5) {return FAIL}
+		if (failingLine(table(["A\tB", "", "C\t\tD"])) !== 6) {return FAIL}
+		if (failingLine(table(["A\tB\t%colour=red"])) !== 4) {return FAIL}
+		if (failingLine(table(["A\t%equivalence=a\tB"])) !== 4) {return FAIL}
+		if (failingLine("Name\nDescription\n%%TABLE: START%%\nA\tB\n") !== 3) {return FAIL}
+		if (failingLine(table(["A\tB"])+"C\tD\n") !== 6) {return FAIL}
+		if (failingLine("Name\nDescription\n") === null) {return FAIL}
+		if (failingLine(table(["A\tB"])) !== null) {return FAIL}
+		return OK
+	}
+}
+
+class CollectionRoundTripTest extends Test {
+	test() {
+		let collection = {
+			name: "Kana",
+			description: "",
+			groups: [{name: "k-row", label: "K row"}, {name: "dakuten", label: "Dakuten (゛)"}],
+			sets: [
+				{pictograms: ["ka", "か", "カ"], groups: ["k-row"]},
+				{pictograms: ["ji", "ぢ", "ヂ"], groups: ["k-row", "dakuten"], equivalence: "ji"},
+				["n", "ん", "ン"],
+			],
+		}
+		let text = TextCollectionFile.serializeCollection(collection)
+		let json = JsonFile.serializeCollection(TextCollectionFile.parseCollection(text))
+		if (JSON.stringify(JsonFile.parseCollection(json)) !== JSON.stringify(collection)) {return FAIL}
+		
+		// Either way, the sets come out the same.
+		let fromText = PictogramSets.parse(text, "kana.txt")
+		let fromJson = PictogramSets.parse(json)
+		if (fromText.length !== 3 || fromText[1].equivalence !== "ji" || fromText[1].groups.length !== 2) {return FAIL}
+		if (fromText.some((set, index) => set.key !== fromJson[index].key)) {return FAIL}
+		
+		// Text that would be read back as markup can't be written.
+		try {
+			TextCollectionFile.serializeCollection({name: "Tabs", sets: [["a\tb"]]})
+			return FAIL
+		} catch (error) {
+			if (!error.tags.includes("UNWRITABLE")) {return FAIL}
+		}
+		return OK
+	}
+}
+
+class PictogramSetsDetectFileFormatTest extends Test {
+	test() {
+		if (PictogramSets.detectFileFormat("/a/b.json", "Name") !== JsonFile) {return FAIL}
+		if (PictogramSets.detectFileFormat("/a/b.TXT?x=1", "{}") !== TextCollectionFile) {return FAIL}
+		if (PictogramSets.detectFileFormat("", '  {"sets": []}') !== JsonFile) {return FAIL}
+		if (PictogramSets.detectFileFormat("", "Name\n") !== TextCollectionFile) {return FAIL}
+		return OK
+	}
+}
+
+class CollectionValidatorTest extends Test {
+	test() {
+		let validator = new CollectionValidator()
+		let collection = sets => ({name: "Test", groups: [{name: "first", label: "First"}], sets: sets})
+		let problem = sets => {
+			let problems = validator.check(collection(sets))
+			return (problems.length === 1 ? problems[0] : null)
+		}
+		let isProblem = (found, tag, setIndex) => found !== null && found.tags.includes(tag) && found.setIndex === setIndex
+		
+		if (validator.check(collection([["A", "B", "C"], {pictograms: ["D", "E", "F"], groups: ["first"]}])).length !== 0) {return FAIL}
+		
+		// Schema
+		if (!isProblem(validator.check({name: "Test"})[0], "INVALID_SCHEMA", null)) {return FAIL}
+		if (!isProblem(validator.check({sets: [["A", "B", "C"]]})[0], "INVALID_SCHEMA", null)) {return FAIL}
+		if (!isProblem(problem([["A", "B", "C"], ["D", "E"]]), "INVALID_SCHEMA", 1)) {return FAIL}
+		if (!isProblem(problem([["A", "B", "C"], ["D", "E", "F", "G"]]), "INVALID_SCHEMA", 1)) {return FAIL}
+		if (!isProblem(problem([["A", "", "C"]]), "INVALID_SCHEMA", 0)) {return FAIL}
+		if (!isProblem(problem([{pictograms: ["A", "B", "C"], groups: "first"}]), "INVALID_SCHEMA", 0)) {return FAIL}
+		
+		// Metadata
+		if (!isProblem(problem([{pictograms: ["A", "B", "C"], groups: ["second"]}]), "UNDECLARED_GROUP", 0)) {return FAIL}
+		let declaredTwice = validator.check({name: "Test", groups: [{name: "a", label: "A"}, {name: "a", label: "B"}], sets: [["A", "B", "C"]]})
+		if (!isProblem(declaredTwice[0], "DUPLICATE_ENTRY", null)) {return FAIL}
+		
+		// Duplicates, within and across sets, unless equivalent.
+		if (!isProblem(problem([["A", "A", "C"]]), "DUPLICATE_ENTRY", 0)) {return FAIL}
+		if (!isProblem(problem([["A", "B", "C"], ["D", "E", "F"], ["A", "G", "H"]]), "DUPLICATE_ENTRY", 2)) {return FAIL}
+		if (problem([["A", "B", "C"], ["D", "A", "F"]]) !== null) {return FAIL}
+		let equivalent = [{pictograms: ["ji", "じ", "ジ"], equivalence: "ji"}, {pictograms: ["ji", "ぢ", "ヂ"], equivalence: "ji"}]
+		if (validator.check(collection(equivalent)).length !== 0) {return FAIL}
+		
+		// Invalid collections never make it into a PictogramSets object.
+		try {
+			PictogramSets.fromCollection(collection([["A", "B"]]))
+			return FAIL
+		} catch (error) {
+			if (!(error instanceof CollectionError && error.setIndex === 0)) {return FAIL}
+		}
+		return OK
+	}
+}
+
+class GenericCollectionTest extends Test {
+	test() {
+		let collection = {
+			name: "Numbers",
+			description: "",
+			columns: [{name: "kanji", label: "Kanji", lang: "ja", font: "serif"}, {name: "meaning", lang: "en"}, {name: "length"}],
+			sets: [["一", "one", "1"], ["二", "two", "2"]],
+		}
+		let pictogramSets = PictogramSets.fromCollection(collection)
+		let set = pictogramSets[1]
+		if (set instanceof KanaSet || set.length !== 3) {return FAIL}
+		if (set.kanji !== "二" || set.meaning !== "two" || set.getPictogram("length") !== "2") {return FAIL}
+		if (set.getColumnDeclaration("二").font !== "serif" || set.getColumnDeclaration("two").label !== "meaning") {return FAIL}
+		if (!pictogramSets.hasColumn("meaning") || pictogramSets.hasColumn("romaji")) {return FAIL}
+		
+		// Declarations survive both file formats.
+		let text = TextCollectionFile.serializeCollection(collection)
+		if (JSON.stringify(TextCollectionFile.parseCollection(text)) !== JSON.stringify(collection)) {return FAIL}
+		if (JSON.stringify(pictogramSets.columns) !== JSON.stringify(collection.columns)) {return FAIL}
+		
+		// Sets need a pictogram for every declared column, and kana pairings aren't offered.
+		try {
+			PictogramSets.fromCollection({name: "Numbers", columns: collection.columns, sets: [["一", "one"]]})
+			return FAIL
+		} catch (error) {
+			if (!error.tags.includes("INVALID_SCHEMA")) {return FAIL}
+		}
+		let library = new CollectionLibrary([{path: "numbers.json", isDefault: true, sets: pictogramSets, problem: null}])
+		let startScreen = new StartScreen(library, new KanaGameOptions({pairing: "hiragana-romaji"}))
+		if (JSON.stringify(Object.keys(startScreen.pairings)) !== '["any"]' || startScreen.pairing !== "any") {return FAIL}
+		
+		// Tiles tell the browser the language and font of their pictogram.
+		let tile = new Tile("tile0", "一", pictogramSets[0], new TileTheme("", "", ""))
+		let face = tile.createUpFace().querySelector(".tileCharacter")
+		if (face.lang !== "ja" || face.style.fontFamily !== "serif") {return FAIL}
+		return OK
+	}
+}
+
+class CollectionLibraryTest extends Test {
+	async test() {
+		let library = await CollectionLibrary.load(COLLECTION_INDEX_FILEPATH)
+		if (library.availableEntries.length !== library.entries.length || library.entries.length < 4) {return FAIL}
+		if (JSON.stringify(library.defaultPaths) !== '["/pictogramcollections/romajihiraganakatakana.json"]') {return FAIL}
+		let kana = library.combine()
+		
+		// The basics are all in the full kana collection already.
+		let withBasics = library.combine(["/pictogramcollections/hiraganabasics.json", "/pictogramcollections/romajihiraganakatakana.json"])
+		if (withBasics.length !== kana.length || !withBasics.every(set => set instanceof KanaSet)) {return FAIL}
+		
+		// Collections with different columns can be combined, but only pairings they all support are offered.
+		let options = new KanaGameOptions({collections: ["/pictogramcollections/romajihiraganakatakana.json", "/pictogramcollections/katakanaextended.json"]})
+		let startScreen = new StartScreen(library, options)
+		if (startScreen.pictogramSets.length <= kana.length || !startScreen.pictogramSets.hasColumn("hiragana")) {return FAIL}
+		if (JSON.stringify(Object.keys(startScreen.pairings)) !== '["any","katakana-romaji"]') {return FAIL}
+		if (startScreen.presets.some(preset => preset.problem !== null)) {return FAIL}
+		
+		// Nothing, or something unheard of, can't be played with.
+		startScreen.selectCollections([])
+		if (startScreen.collectionProblem === null || startScreen.presets.some(preset => preset.problem === null)) {return FAIL}
+		try {
+			library.combine(["/pictogramcollections/nope.json"])
+			return FAIL
+		} catch (error) {
+			if (!error.tags.includes("UNKNOWN_COLLECTION")) {return FAIL}
+		}
+		return OK
+	}
+}
+
+class UserCollectionStoreTest extends Test {
+	test() {
+		let store = new MemoryStore()
+		let userCollections = new UserCollectionStore(store)
+		let text = "Colours\nMy own\n%%COLUMNS: START%%\nen\tEnglish\ten\nde\tGerman\tde\n%%COLUMNS: END%%\n%%TABLE: START%%\nred\trot\nblue\tblau\ngreen\tgrün\n%%TABLE: END%%\n"
+		let entry = userCollections.add("", text)
+		if (entry.path !== USER_COLLECTION_PREFIX+"Colours" || entry.sets.length !== 3 || !entry.isKept) {return FAIL}
+		
+		// Invalid collections aren't kept.
+		try {
+			userCollections.add("broken.json", '{"name": "Broken", "sets": [["a"]]}')
+			return FAIL
+		} catch (error) {
+			if (!(error instanceof CollectionError)) {return FAIL}
+		}
+		
+		// Next session, the collection is still there, and can be added to a library.
+		let entries = new UserCollectionStore(store).getEntries()
+		if (entries.length !== 1 || entries[0].sets[2].de !== "grün") {return FAIL}
+		let library = new CollectionLibrary()
+		library.addEntry(entries[0])
+		if (library.combine([entry.path]).length !== 3) {return FAIL}
+		
+		// Adding it again replaces it, removing it forgets it.
+		userCollections.add("colours.txt", text.replace("green\tgrün\n", ""))
+		if (userCollections.collections.length !== 1 || userCollections.getEntries()[0].sets.length !== 2) {return FAIL}
+		userCollections.remove(entry.path)
+		if (userCollections.collections.length !== 0) {return FAIL}
+		return OK
+	}
+}
+
+class CollectionEditorTest extends Test {
+	async test() {
+		// A collection loaded into the editor comes out the same.
+		let file = new JsonFile(KANA_COLLECTION_FILEPATH, "HTTP")
+		await file.open()
+		let editor = CollectionEditor.fromPictogramSets(PictogramSets.parse(file.getContent(), KANA_COLLECTION_FILEPATH))
+		if (JSON.stringify(editor.toCollection()) !== JSON.stringify(file.getJson())) {return FAIL}
+		
+		// A new one starts out with an empty set, which is a problem until it's filled in.
+		editor = new CollectionEditor()
+		if (editor.check().length === 0 || editor.createSampleBoard(new GridTheme(null)) !== null) {return FAIL}
+		editor.setPictogram(0, 0, "one")
+		editor.setPictogram(0, 1, "1")
+		editor.addRow()
+		editor.setPictogram(1, 0, "two")
+		editor.setPictogram(1, 1, "2")
+		editor.addColumn(1)
+		if (editor.check().length === 0) {return FAIL}
+		editor.setColumnName(1, "kanji")
+		editor.setPictogram(0, 1, "一")
+		editor.setPictogram(1, 1, "二")
+		editor.moveColumn(1, 1)
+		editor.moveRow(1, -1)
+		editor.setGroups(0, " even, ")
+		if (editor.check().length !== 0) {return FAIL}
+		let collection = editor.toCollection()
+		if (JSON.stringify(collection.columns) !== '[{"name":"front"},{"name":"back"},{"name":"kanji"}]') {return FAIL}
+		if (JSON.stringify(collection.sets) !== '[{"pictograms":["two","2","二"],"groups":["even"]},["one","1","一"]]') {return FAIL}
+		if (JSON.stringify(collection.groups) !== '[{"name":"even","label":"even"}]') {return FAIL}
+		
+		// Valid, it makes for a sample board, all face up, and exports as a collection file.
+		let grid = editor.createSampleBoard(new GridTheme(null))
+		if (grid.tiles.length !== 4 || !grid.tiles.every(tile => tile.state === tile.UP)) {return FAIL}
+		if (PictogramSets.parse(editor.export(), "export.json").length !== 2) {return FAIL}
+		
+		// Sets sharing pictograms across columns are valid, and make for a smaller, but full, sample board.
+		let shared = CollectionEditor.fromPictogramSets(PictogramSets.fromCollection({name: "Shared", columns: [{name: "front"}, {name: "back"}], sets: [["a", "b"], ["b", "a"], ["c", "d"]]}))
+		if (shared.check().length !== 0) {return FAIL}
+		for (let seed = 0; seed < 20; seed++) {
+			grid = shared.createSampleBoard(new GridTheme(null), new SeededRandom(seed))
+			if (grid.tiles.length !== 4 || !grid.tiles.every(tile => tile instanceof Tile)) {return FAIL}
+		}
+		
+		editor.removeColumn(0)
+		editor.removeRow(1)
+		if (JSON.stringify(editor.toCollection().sets) !== '[{"pictograms":["2","二"],"groups":["even"]}]') {return FAIL}
+		return OK
+	}
+}
+
+class ThemeTest extends Test {
+	setUp() {
+		this.element = document.createElement("div")
+		document.body.appendChild(this.element)
+	}
+	tearDown() {
+		this.game.theme.removeFrom(document.documentElement)
+		this.element.remove()
+	}
+	async test() {
+		let json = {name: "Test", images: {up: "img/up.svg", down: "/img/down.svg", matched: "img/matched.svg"}, colors: {background: "#000000"}, fonts: {tile: "serif"}, variables: {"--tile-matched-opacity": "1"}}
+		let theme = GameTheme.fromJson(json, "/themes/test.json")
+		if (theme.gridTheme.tileTheme.img.up !== "/themes/img/up.svg" || theme.gridTheme.tileTheme.img.down !== "/img/down.svg") {return FAIL}
+		if (JSON.stringify(theme.variables) !== '{"--color-background":"#000000","--font-tile":"serif","--tile-matched-opacity":"1"}') {return FAIL}
+		for (let invalid of [{...json, images: {up: "up.svg"}}, {...json, colors: ["#000000"]}, {...json, variables: {color: "red"}}]) {
+			try {
+				GameTheme.fromJson(invalid)
+				return FAIL
+			} catch (error) {
+				if (!(error instanceof ThemeError && error.tags.includes("INVALID_THEME"))) {return FAIL}
+			}
+		}
+		
+		// The bundled themes all load, each with its own matched artwork.
+		let library = await ThemeLibrary.load(THEME_INDEX_FILEPATH)
+		if (library.availableEntries.length !== 3 || library.defaultPath !== "/themes/dark.json") {return FAIL}
+		if (new Set(library.availableEntries.map(entry => entry.theme.gridTheme.tileTheme.img.matched)).size !== 3) {return FAIL}
+		
+		// Switching mid-round renders the tiles with the new artwork, sets the CSS variables, and is remembered.
+		this.game = createTestGame(this.element, [new KanaSet("a", "あ", "ア"), new KanaSet("i", "い", "イ"), new KanaSet("u", "う", "ウ")], new FakeClock())
+		this.game.themes = library
+		this.game.start(KanaGameOptions.fromPreset("easy"))
+		this.game.changeTheme("/themes/highcontrast.json")
+		let face = this.game.grid.tiles[0].element.querySelector(".tileDownFace")
+		if (!face.style.backgroundImage.includes("highcontrast/down.svg")) {return FAIL}
+		if (document.documentElement.style.getPropertyValue("--color-background") !== "#000000") {return FAIL}
+		if (new ThemeSettings(this.game.progress.store).path !== "/themes/highcontrast.json") {return FAIL}
+		if (this.element.querySelector(".themeSelect").value !== "/themes/highcontrast.json") {return FAIL}
+		this.game.changeTheme("/themes/light.json")
+		if (document.documentElement.style.getPropertyValue("--tile-text-shadow") !== "") {return FAIL} // Only high contrast sets it.
+		return OK
+	}
+}
+
+class HostileCollectionContentTest extends Test {
+	setUp() {
+		this.element = document.createElement("div")
+		document.body.appendChild(this.element)
+		window.hostileContentRan = false
+	}
+	tearDown() {
+		this.element.remove()
+		delete window.hostileContentRan
+	}
+	async test() {
+		let hostile = ["<img src=x onerror=\"window.hostileContentRan=true\">", "<b>あ</b>", "\"><svg onload=\"window.hostileContentRan=true\">"]
+		let sets = PictogramSets.fromCollection({name: "Hostile", description: "", sets: [hostile, ["i", "い", "イ"], ["u", "う", "ウ"]]})
+		let game = createTestGame(this.element, [...sets], new FakeClock())
+		game.start(KanaGameOptions.fromPreset("easy", {population: "random"}))
+		
+		// Match every pair, so every tile shows its pictogram.
+		for (let pictogramSet of sets) {
+			game.grid.tiles.filter(tile => tile.pictogramSet === pictogramSet).forEach(tile => tile.element.click())
+		}
+		await sleep(50) // Long enough for an image to fail loading.
+		if (window.hostileContentRan || game.grid.element.querySelector("img, svg, b, script") !== null) {return FAIL}
+		let shown = [...game.grid.element.querySelectorAll(".tileCharacter")].map(character => character.textContent)
+		if (!hostile.some(pictogram => shown.includes(pictogram))) {return FAIL}
+		let labelled = game.grid.tiles.filter(tile => hostile.includes(tile.pictogram) && !tile.isDown())
+		if (!labelled.every(tile => tile.element.getAttribute("aria-label").startsWith(tile.pictogram))) {return FAIL}
+		return OK
+	}
+}
+
+class EscapeHtmlTest extends Test {
+	test() {
+		if (escapeHtml(`<img src="x" onerror='y'>&`) !== "&lt;img src=&quot;x&quot; onerror=&#39;y&#39;&gt;&amp;") {return FAIL}
+		let sets = PictogramSets.fromCollection({name: "<b>Bold</b>", groups: [{name: "g", label: "<i>G</i>"}], sets: [{pictograms: ["a", "b", "c"], groups: ["g"]}]})
+		let library = new CollectionLibrary([{path: "x.json", isDefault: false, sets: sets, problem: null}])
+		let markup = HTML_START_SCREEN_MARKUP("startScreen", [], new StartScreen(library, new KanaGameOptions()).collectionChoices, null, null, {}, "any", sets.groups, null, {}, "learner", {}, "none", {}, "normal", true, '"seed"')
+		if (markup.includes("<b>") || markup.includes("<i>") || markup.includes('"seed"')) {return FAIL}
+		if (HTML_MESSAGE_SCREEN_MARKUP("messageScreen", "Couldn't load the collections: <b>x.json</b>", true).includes("<b>")) {return FAIL}
+		return OK
+	}
+}
+
+class PictogramSetsLoadTest extends Test {
+	async test() {
+		for (let path of [FILE_TEST_TESTCOLLECTION_FILEPATH, FILE_TEST_TESTCOLLECTION_TEXT_FILEPATH]) {
+			let pictogramSets = await PictogramSets.load(path)
+			if (!(pictogramSets instanceof PictogramSets) || pictogramSets.length !== 4) {return FAIL}
+			if (pictogramSets[1].romaji !== "D" || pictogramSets[1].katakana !== "F") {return FAIL}
+		}
+		return OK
+	}
+}
+
 // ======================================
 // Running the tests.
 
-document.write('<div class="header">Tests:</div>')
+let output = document.body
+output.insertAdjacentHTML("beforeend", '<div class="header">Tests:</div>')
 let tests = new TestSet("All")
 tests.addTest(new KanaTest("KanaTest"))
 tests.addTest(new PopulateRandomPairsTest("PopulateRandomPairsTest"))
+tests.addTest(new PopulateRandomPairsWithColumnsTest("PopulateRandomPairsWithColumnsTest"))
 tests.addTest(new KanamemoArraySwapTest("KanamemoArraySwapTest"))
 tests.addTest(new KanamemoArrayShuffleTest("KanamemoArrayShuffleTest"))
+tests.addTest(new SeededRandomTest("SeededRandomTest"))
+tests.addTest(new KanamemoArraySeededShuffleTest("KanamemoArraySeededShuffleTest"))
+tests.addTest(new SeededGridTest("SeededGridTest"))
+tests.addTest(new GridIsCompleteTest("GridIsCompleteTest"))
+tests.addTest(new GridKeyboardNavigationTest("GridKeyboardNavigationTest"))
+tests.addTest(new TileTransitionTest("TileTransitionTest"))
+tests.addTest(new GridContainerTest("GridContainerTest"))
+tests.addTest(new TileTapTest("TileTapTest"))
+tests.addTest(new RoundStatsElapsedTimeTest("RoundStatsElapsedTimeTest"))
+tests.addTest(new RoundScoringTest("RoundScoringTest"))
+tests.addTest(new TimedRoundTest("TimedRoundTest"))
+tests.addTest(new MismatchRevealTest("MismatchRevealTest"))
+tests.addTest(new PopulateRandomGroupsTest("PopulateRandomGroupsTest"))
+tests.addTest(new KanaGameOptionsProblemsTest("KanaGameOptionsProblemsTest"))
+tests.addTest(new PictogramSetsFilterByGroupsTest("PictogramSetsFilterByGroupsTest"))
+tests.addTest(new MatchingStrategiesTest("MatchingStrategiesTest"))
+tests.addTest(new PopulateWithoutLookalikesTest("PopulateWithoutLookalikesTest"))
+tests.addTest(new PopulateLookalikeShortageTest("PopulateLookalikeShortageTest"))
+tests.addTest(new LeitnerLearnerModelTest("LeitnerLearnerModelTest"))
+tests.addTest(new LearnerPopulationStrategyTest("LearnerPopulationStrategyTest"))
+tests.addTest(new ProgressTrackerTest("ProgressTrackerTest"))
+tests.addTest(new StatsScreenTest("StatsScreenTest"))
+tests.addTest(new AudioPlayerTest("AudioPlayerTest"))
+tests.addTest(new HapticsTest("HapticsTest"))
+tests.addTest(new EventBusTest("EventBusTest"))
+tests.addTest(new KanaGameEventsTest("KanaGameEventsTest"))
 tests.addTest(new FileHttpGetResolvedPathTest("FileHttpGetResolvedPathTest"))
 tests.addTest(new FileGetResponseCodeHttpTest("FileGetResponseCodeHttpTest"))
 tests.addTest(new FileHttpGetContentTest("FileHttpGetContentTest"))
 tests.addTest(new FileHttpGetJsonTest("FileHttpGetJsonTest"))
-tests.run()
+tests.addTest(new FileHttpErrorTagsTest("FileHttpErrorTagsTest"))
+tests.addTest(new TextCollectionFileTest("TextCollectionFileTest"))
+tests.addTest(new TextCollectionFileErrorsTest("TextCollectionFileErrorsTest"))
+tests.addTest(new CollectionRoundTripTest("CollectionRoundTripTest"))
+tests.addTest(new PictogramSetsDetectFileFormatTest("PictogramSetsDetectFileFormatTest"))
+tests.addTest(new CollectionValidatorTest("CollectionValidatorTest"))
+tests.addTest(new GenericCollectionTest("GenericCollectionTest"))
+tests.addTest(new CollectionLibraryTest("CollectionLibraryTest"))
+tests.addTest(new UserCollectionStoreTest("UserCollectionStoreTest"))
+tests.addTest(new CollectionEditorTest("CollectionEditorTest"))
+tests.addTest(new ThemeTest("ThemeTest"))
+tests.addTest(new EscapeHtmlTest("EscapeHtmlTest"))
+tests.addTest(new HostileCollectionContentTest("HostileCollectionContentTest"))
+tests.addTest(new PictogramSetsLoadTest("PictogramSetsLoadTest"))
+tests.run(output)